@@ -1,19 +1,25 @@
 const fs = require('fs');
 const fsp = fs.promises;
+const os = require('os');
 const path = require('path');
 const { spawn, spawnSync } = require('child_process');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
 const express = require('express');
 const cors = require('cors');
-const { ProcessManager } = require('./src/session/ProcessManager');
+const { ProcessManager, brokenPath } = require('./src/session/ProcessManager');
 const {
   buildGstFileArgs,
   buildGstShmInferenceArgs,
   buildGstShmPreviewArgs,
   buildGstShmAiPreviewArgs,
   buildGstShmStillArgs,
+  buildGstShmBurstArgs,
   buildGstShmH264Args,
   buildGstShmMp4Args,
   buildGstShmRecordArgs,
+  buildGstShmSegmentArgs,
+  supportsKeyframeInterval,
 } = require('./src/session/gstPipeline');
 const {
   readTail,
@@ -23,6 +29,33 @@ const {
 } = require('./src/session/tailParser');
 const { normalizeMetaFile } = require('./src/session/metaNormalizer');
 const { SharedPipeline } = require('./src/session/SharedPipeline');
+const { PreRollBuffer } = require('./src/session/PreRollBuffer');
+const { CaptureJobManager } = require('./src/session/CaptureJobManager');
+const { CaptureQueue } = require('./src/session/CaptureQueue');
+const {
+  parseCameraControls,
+  cameraControlsEqual,
+  buildRpicamControlArgs,
+} = require('./src/session/cameraControls');
+const { PresetStore } = require('./src/session/PresetStore');
+const { TimelapseScheduler } = require('./src/session/TimelapseScheduler');
+const { ThumbnailService } = require('./src/session/ThumbnailService');
+const { ClipTrimmer } = require('./src/session/ClipTrimmer');
+const { parseCameraSource, prepareCameraSourceFile } = require('./src/session/cameraSource');
+const { migrateLegacyStorage } = require('./src/session/storageMigration');
+const { StorageMonitor } = require('./src/session/StorageMonitor');
+const { EventHub } = require('./src/session/EventHub');
+const { parseMockHailoConfig, buildMockHailoArgs } = require('./src/session/mockHailo');
+const { parseSessionMetadata } = require('./src/session/sessionMetadata');
+const { parseSessionQuery, applySessionQuery } = require('./src/session/sessionQuery');
+const { buildSessionBundle, importSessionBundle, isValidJobId } = require('./src/session/sessionBundle');
+const { createTarStream } = require('./src/session/tarArchive');
+const {
+  parseMarkerInput,
+  createMarker,
+  sliceMarkers,
+  appendMarkerToFile,
+} = require('./src/session/markers');
 let AutoRecordManager;
 let RecorderController;
 
@@ -41,6 +74,11 @@ const app = express();
 // 환경/경로/기본값 설정
 const PORT = parseInt(process.env.PORT, 10) || 3001;
 const UPLOAD_DIR = process.env.UPLOAD_DIR ? path.resolve(process.env.UPLOAD_DIR) : '/home/ray/uploads';
+const DATA_DIR = process.env.DATA_DIR ? path.resolve(process.env.DATA_DIR) : '/home/ray/hailo-camera-data';
+const PRESET_FILE = path.join(DATA_DIR, 'presets.json');
+const THUMB_DIR = path.join(UPLOAD_DIR, '.thumbs');
+const THUMB_WIDTH = parseInt(process.env.THUMB_WIDTH, 10) || 320;
+const THUMB_ANIMATED = process.env.THUMB_ANIMATED === 'true';
 const LOCK_FILE = '/tmp/camera.lock';
 const COMMAND_GRACE_MS = 3000;
 const LOCK_FALLBACK_TTL_MS = 10 * 60 * 1000;
@@ -53,21 +91,71 @@ const DEFAULTS = {
   stillDurationSec: parseInt(process.env.DEFAULT_STILL_DURATION_SEC, 10) || 1,
   videoDurationSec: parseInt(process.env.DEFAULT_VIDEO_DURATION_SEC, 10) || 3,
 };
+// 카메라 소스 백엔드 (libcamera 외에는 Pi 없이 개발/테스트용 가상 카메라)
+const CAMERA_SOURCE = parseCameraSource({
+  backend: process.env.CAMERA_BACKEND,
+  pattern: process.env.CAMERA_TEST_PATTERN,
+  file: process.env.CAMERA_SOURCE_FILE,
+});
 
 const SESSION_DEFAULTS = {
   width: 1456,
   height: 1088,
   fps: 60,
 };
-const SESSION_META_DIR = process.env.META_DIR ? path.resolve(process.env.META_DIR) : '/tmp';
-const SESSION_STATE_DIR = '/tmp';
-const SESSION_LOCK_FILE = '/tmp/session.lock';
+// 세션 상태/메타는 재부팅 후에도 남도록 DATA_DIR 아래에 둔다 (예전 기본값은 /tmp)
+const SESSION_META_DIR = process.env.META_DIR ? path.resolve(process.env.META_DIR) : path.join(DATA_DIR, 'meta');
+const SESSION_STATE_DIR = process.env.SESSION_STATE_DIR
+  ? path.resolve(process.env.SESSION_STATE_DIR)
+  : path.join(DATA_DIR, 'sessions');
+const SESSION_LOCK_FILE = path.join(DATA_DIR, 'session.lock');
+const LEGACY_SESSION_DIR = '/tmp';
+const STORAGE_MIGRATION_FILE = path.join(DATA_DIR, 'tmp-migration.json');
 const SESSION_MAX_TAIL_FRAMES = 200;
+const SESSION_SEGMENT_MIN_SEC = 5;
+const SESSION_SEGMENT_MAX_SEC = 3600;
 const CALIBRATION_DIR = path.join(__dirname, 'calibration');
+// 현재 렌즈 보정 파일 이름 (세션 내보내기에 포함). 미지정이면 calibration/에 파일이 하나뿐일 때 그 파일
+const CAMERA_CALIBRATION = process.env.CAMERA_CALIBRATION || '';
 const SHARED_PIPELINE_SOCKET_PREVIEW = '/tmp/hailo_camera_preview.shm';
 const SHARED_PIPELINE_SOCKET_RECORD = '/tmp/hailo_camera_record.shm';
 const SHARED_PIPELINE_SOCKET_INFER = '/tmp/hailo_camera_infer.shm';
 const SHARED_PIPELINE_SHM_SIZE = 64 * 1024 * 1024;
+const PREROLL_DIR = process.env.PREROLL_DIR ? path.resolve(process.env.PREROLL_DIR) : '/tmp/hailo_camera_preroll';
+const PREROLL_BUFFER_SEC = parsePositiveNumber(process.env.PREROLL_BUFFER_SEC, 10);
+const PREROLL_SEGMENT_SEC = parsePositiveNumber(process.env.PREROLL_SEGMENT_SEC, 1);
+const PREROLL_MAX_BYTES = parsePositiveNumber(process.env.PREROLL_MAX_MB, 256) * 1024 * 1024;
+const PREROLL_AUTOSTART = process.env.PREROLL_AUTOSTART === 'true';
+const CAPTURE_QUEUE_MAX = parseInt(process.env.CAPTURE_QUEUE_MAX, 10) || 5;
+// 여유 공간 기준 (MB). MIN 미만이면 새 캡처/녹화 거부, CRITICAL 미만이면 진행 중인 녹화 마무리
+const STORAGE_MIN_FREE_BYTES = parseNonNegativeNumber(process.env.STORAGE_MIN_FREE_MB, 500) * 1024 * 1024;
+const STORAGE_CRITICAL_FREE_BYTES = parseNonNegativeNumber(process.env.STORAGE_CRITICAL_FREE_MB, 150) * 1024 * 1024;
+const STORAGE_CHECK_INTERVAL_MS = parsePositiveNumber(process.env.STORAGE_CHECK_INTERVAL_SEC, 10) * 1000;
+// SSE: Last-Event-ID 재전송용으로 보관할 이벤트 수, 연결 유지 ping 간격
+const EVENTS_BUFFER_SIZE = parseInt(process.env.EVENTS_BUFFER_SIZE, 10) || 500;
+const EVENTS_HEARTBEAT_MS = parsePositiveNumber(process.env.EVENTS_HEARTBEAT_SEC, 15) * 1000;
+// 세션 가져오기 번들 최대 크기 (MB). 업로드 도중 SD 카드가 차지 않도록 받는 중에도 센다
+const SESSION_IMPORT_MAX_BYTES = parsePositiveNumber(process.env.SESSION_IMPORT_MAX_MB, 2048) * 1024 * 1024;
+const CAPTURE_QUEUE_MAX_WAIT_SEC = parsePositiveNumber(process.env.CAPTURE_QUEUE_MAX_WAIT_SEC, 60);
+const CAPTURE_QUEUE_WAIT_LIMIT_SEC = 300;
+const BURST_DEFAULT_FRAMES = 10;
+const BURST_MAX_FRAMES = 300;
+const BURST_FRAME_PATTERN = 'frame_%04d.jpg';
+const STILL_FORMATS = ['jpg', 'png', 'webp', 'dng'];
+// 공유 파이프라인(NV12)에서 만들 수 있는 스틸 포맷 (dng는 rpicam-still 전용)
+const SHARED_STILL_FORMATS = ['jpg', 'png', 'webp'];
+const UPLOAD_EXTENSIONS = ['jpg', 'png', 'webp', 'dng', 'h264', 'mp4'];
+const CAPTURE_SIDECAR_VERSION = 1;
+const APP_VERSION = readAppVersion();
+const HOST_INFO = {
+  hostname: os.hostname(),
+  platform: os.platform(),
+  arch: os.arch(),
+  release: os.release(),
+  node: process.version,
+  appVersion: APP_VERSION,
+  cameraBackend: CAMERA_SOURCE.backend,
+};
 
 // 인증/스트림/모델 설정
 const AUTH_TOKEN = process.env.AUTH_TOKEN || '';
@@ -111,10 +199,31 @@ const SERVICE7_DEBUG_POSTPROCESS_CONFIG = process.env.SERVICE7_DEBUG_POSTPROCESS
 const SERVICE7_LABEL_MAP = '0:person,1:player_ready,2:player_not_ready,3:golf_ball,4:club_head,5:club,6:club_handle';
 const DEFAULT_AI_CONFIG = process.env.AI_POSTPROCESS_CONFIG
   || path.join(AI_CONFIG_DIR, 'yolov8s_nms_golf.json');
+// Hailo 장치 없이 테스트할 때 hailonet 대신 mock 프로세스가 메타를 만든다
+const HAILO_MOCK = parseMockHailoConfig({
+  enabled: process.env.HAILO_MOCK,
+  script: process.env.HAILO_MOCK_SCRIPT,
+  replay: process.env.HAILO_MOCK_REPLAY,
+});
 let aiPostprocessConfig = DEFAULT_AI_CONFIG;
 let aiLabelMap = readAiConfigLabelMap(aiPostprocessConfig);
 let aiAllowedLabels = readAiConfigAllowedLabels(aiPostprocessConfig);
-const SESSION_RECORD_ENCODER = detectRecordEncoder();
+const RECORD_CODECS = ['h264', 'h265'];
+const RECORD_ENCODER_CANDIDATES = {
+  h264: ['x264enc', 'openh264enc', 'v4l2h264enc', 'avenc_h264', 'avenc_h264_omx'],
+  h265: ['x265enc', 'v4l2h265enc'],
+};
+const RECORD_ENCODERS = {
+  h264: detectRecordEncoder('h264'),
+  h265: detectRecordEncoder('h265'),
+};
+const SESSION_RECORD_ENCODER = RECORD_ENCODERS.h264;
+// 세션 녹화는 fragmented mp4로 써서 서버가 죽어도 복구할 수 있게 한다 (0이면 기존 faststart)
+const SESSION_RECORD_FRAGMENT_MS = parseNonNegativeNumber(process.env.SESSION_RECORD_FRAGMENT_MS, 1000);
+const LIBAV_CODECS = {
+  h264: process.env.LIBAV_VIDEO_CODEC || 'libx264',
+  h265: process.env.LIBAV_HEVC_CODEC || 'libx265',
+};
 const STILL_COMMANDS = buildCommandList(process.env.CAMERA_STILL_CMDS || process.env.STILL_CMD, [
   'rpicam-still',
   'libcamera-still',
@@ -131,16 +240,19 @@ const SESSION_GST_CMD = process.env.GST_LAUNCH_CMD || 'gst-launch-1.0';
 
 let busy = false;
 let lastCaptureAt = null;
+let lastCaptureControls = null;
 let lastError = null;
 let streamingActive = false;
 let streamClients = 0;
 let lastStreamStateChange = null;
 let autoRecordManager = null;
+let autoRecordRecorder = null;
 let autoRecordInitError = null;
 let lastAutoAnalyzeFilename = null;
 let lastAutoAnalyzeMetaPath = null;
 let autoRecordPipelineHeld = false;
 let autoRecordRecordingHeld = false;
+let encoderMatrix = null;
 
 const AUTO_RECORD_CONFIG = {
   addressStillMs: parseInt(process.env.AUTO_ADDRESS_STILL_MS, 10) || 2000,
@@ -151,6 +263,13 @@ const AUTO_RECORD_CONFIG = {
   pollIntervalMs: parseInt(process.env.AUTO_POLL_MS, 10) || 200,
 };
 
+// 상태 변화 실시간 알림 (GET /api/events, SSE)
+const events = new EventHub({
+  bufferSize: EVENTS_BUFFER_SIZE,
+  heartbeatMs: EVENTS_HEARTBEAT_MS,
+  logger: (...args) => log(...args),
+});
+
 // 카메라 공유 파이프라인(shm) 관리
 const sharedPipeline = new SharedPipeline({
   gstCmd: SESSION_GST_CMD,
@@ -160,6 +279,119 @@ const sharedPipeline = new SharedPipeline({
     inference: SHARED_PIPELINE_SOCKET_INFER,
   },
   shmSize: SHARED_PIPELINE_SHM_SIZE,
+  source: CAMERA_SOURCE,
+  logger: (...args) => log(...args),
+  onStateChange: (state, data) => events.publish(`pipeline.${state}`, data),
+});
+// 프리롤 링 버퍼 (record shm → 세그먼트)
+const preRollBuffer = new PreRollBuffer({
+  gstCmd: SESSION_GST_CMD,
+  pipeline: sharedPipeline,
+  socketPath: SHARED_PIPELINE_SOCKET_RECORD,
+  bufferDir: PREROLL_DIR,
+  bufferSec: PREROLL_BUFFER_SEC,
+  segmentSec: PREROLL_SEGMENT_SEC,
+  maxBytes: PREROLL_MAX_BYTES,
+  encoder: SESSION_RECORD_ENCODER,
+  buildArgs: buildGstShmSegmentArgs,
+  runCommand: (command, args, timeoutMs, runOptions) => {
+    logCommand(command, args);
+    return runCommand(command, args, timeoutMs, runOptions);
+  },
+  logger: (...args) => log(...args),
+});
+// 업로드 썸네일(포스터/애니메이션 미리보기) 생성기
+const thumbnails = new ThumbnailService({
+  uploadDir: UPLOAD_DIR,
+  thumbDir: THUMB_DIR,
+  urlPrefix: '/thumbs',
+  width: THUMB_WIDTH,
+  animated: THUMB_ANIMATED,
+  runCommand: (command, args, timeoutMs) => {
+    logCommand(command, args);
+    return runCommand(command, args, timeoutMs);
+  },
+  logger: (...args) => log(...args),
+});
+// 업로드 mp4 구간 자르기 (+ 메타 슬라이스)
+const clipTrimmer = new ClipTrimmer({
+  uploadDir: UPLOAD_DIR,
+  metaDir: SESSION_META_DIR,
+  encoders: { h264: LIBAV_CODECS.h264, hevc: LIBAV_CODECS.h265 },
+  runCommand: (command, args, timeoutMs, runOptions) => {
+    logCommand(command, args);
+    return runCommand(command, args, timeoutMs, runOptions);
+  },
+  logger: (...args) => log(...args),
+});
+// 인터벌/타임랩스 캡처 스케줄러
+const timelapse = new TimelapseScheduler({
+  uploadDir: UPLOAD_DIR,
+  captureFrame: (request) => captureTimelapseFrame(request),
+  runCommand: (command, args, timeoutMs) => {
+    logCommand(command, args);
+    return runCommand(command, args, timeoutMs);
+  },
+  buildId: () => buildJobId('timelapse'),
+  onFinalized: async (status) => {
+    const details = {
+      source: 'timelapse',
+      format: status.format,
+      width: status.captureOptions.width,
+      height: status.captureOptions.height,
+      fps: status.captureOptions.fps,
+      durationSec: status.captureOptions.durationSec,
+      controls: status.captureOptions.controls || null,
+      timelapse: {
+        id: status.id,
+        intervalSec: status.intervalSec,
+        count: status.count,
+        maxDurationSec: status.maxDurationSec,
+        captured: status.captured,
+        skipped: status.skipped,
+        failed: status.failed,
+        stopReason: status.stopReason,
+      },
+      timings: {
+        startedAt: toIsoTime(status.startedAt),
+        stoppedAt: toIsoTime(status.stoppedAt),
+      },
+    };
+    await writeCaptureSidecar(status.id, details);
+    thumbnails.schedule(status.id);
+    if (status.assembled) {
+      await writeCaptureSidecar(status.assembled.filename, { ...details, format: 'mp4', assembledFrom: status.id });
+      thumbnails.schedule(status.assembled.filename);
+    }
+  },
+  logger: (...args) => log(...args),
+});
+// 락 대기 캡처 FIFO 큐
+const captureQueue = new CaptureQueue({
+  maxLength: CAPTURE_QUEUE_MAX,
+  defaultMaxWaitMs: CAPTURE_QUEUE_MAX_WAIT_SEC * 1000,
+  maxWaitLimitMs: CAPTURE_QUEUE_WAIT_LIMIT_SEC * 1000,
+  acquireLock: (expectedMs) => tryAcquireLock(expectedMs),
+  releaseLock: () => releaseLock(),
+  logger: (...args) => log(...args),
+});
+// 캡처 프리셋 (DATA_DIR/presets.json)
+const presetStore = new PresetStore({
+  filePath: PRESET_FILE,
+  validate: (fields) => {
+    parseCaptureOptions(fields);
+    parseSegmentSec(fields.segmentSec);
+  },
+  logger: (...args) => log(...args),
+});
+presetStore.loadSync();
+// 비동기 캡처 작업 관리
+const captureJobs = new CaptureJobManager({
+  buildId: () => buildJobId('capture'),
+  queuePosition: (captureId) => captureQueue.getPosition(captureId),
+  discardResult: async (result) => {
+    if (result?.filename) await discardCaptureOutput(result.filename);
+  },
   logger: (...args) => log(...args),
 });
 const previewSessions = new Map();
@@ -244,20 +476,71 @@ const sessionManager = new ProcessManager({
   stateDir: SESSION_STATE_DIR,
   lockFile: SESSION_LOCK_FILE,
   gstLaunchCmd: SESSION_GST_CMD,
-  buildGstArgs: buildGstShmInferenceArgs,
+  inferenceCmd: HAILO_MOCK ? process.execPath : SESSION_GST_CMD,
+  buildGstArgs: (options) => buildShmInferenceCommand(options).args,
   buildRecordArgs: (options) =>
-    buildGstShmRecordArgs({ ...options, encoder: SESSION_RECORD_ENCODER }),
+    buildGstShmRecordArgs({
+      ...options,
+      encoder: options.encoder || SESSION_RECORD_ENCODER,
+      fragmentMs: SESSION_RECORD_FRAGMENT_MS,
+    }),
   pipeline: sharedPipeline,
   recordSocketPath: SHARED_PIPELINE_SOCKET_RECORD,
   inferenceSocketPath: SHARED_PIPELINE_SOCKET_INFER,
   defaultModelOptions: buildHailoModelOptions(),
   ensureUploadsDir: ensureSessionDirs,
+  runCommand: (command, args, timeoutMs) => {
+    logCommand(command, args);
+    return runCommand(command, args, timeoutMs);
+  },
   logger: (...args) => log(...args),
+  beforeFinalizeVideo: (session) => retimeSessionVideo(session),
+  onSessionEvent: (type, data) => events.publish(`session.${type}`, data),
   onSessionFinished: async (session) => {
+    if (fs.existsSync(session.videoPath)) {
+      await writeCaptureSidecar(session.videoFile, {
+        source: 'session',
+        jobId: session.jobId,
+        status: session.status,
+        errorMessage: session.errorMessage,
+        request: session.request,
+        preset: session.request?.preset || undefined,
+        metadata: session.metadata,
+        format: 'mp4',
+        width: session.width,
+        height: session.height,
+        fps: session.fps,
+        playbackFps: session.playbackFps,
+        durationSec: session.durationSec,
+        controls: session.controls,
+        codec: session.codec,
+        codecFallback: session.codecFallback || undefined,
+        encoder: session.encoder || SESSION_RECORD_ENCODER,
+        model: describeModel(session.model, session.modelOptions),
+        metaPath: session.metaPath,
+        commands: session.commands,
+        pausedIntervals: session.pausedIntervals.length ? describePausedIntervals(session) : undefined,
+        segmentSec: session.segmentSec || undefined,
+        videoSegments: session.segmentSec ? session.videoSegments : undefined,
+        mergeError: session.mergeError || undefined,
+        unmergedSegments: session.unmergedSegments?.length ? session.unmergedSegments : undefined,
+        markers: session.markers.length ? session.markers : undefined,
+        timings: {
+          startedAt: toIsoTime(session.startedAt),
+          stoppedAt: toIsoTime(session.stoppedAt),
+          recordMs: session.stoppedAt - session.startedAt - sumPausedMs(session),
+          pausedMs: sumPausedMs(session) || undefined,
+        },
+      });
+    }
+    thumbnails.schedule(session.videoFile);
     await finalizeSessionMeta(session);
   },
 });
 sessionManager.registerSignalHandlers();
+let lastRecoveryReport = null;
+// 진행 중인 캡처 파일 이름 (시작 시 복구가 건드리지 않도록)
+const activeCaptureFiles = new Set();
 
 class AutoRecordDetector {
   constructor(options) {
@@ -279,7 +562,7 @@ class AutoRecordDetector {
     this.retained = true;
     await fsp.unlink(this.metaPath).catch(() => undefined);
     const modelOptions = this.modelOptionsProvider();
-    const args = buildGstShmInferenceArgs({
+    const { command, args } = buildShmInferenceCommand({
       socketPath: this.socketPath,
       width: this.sourceConfig.width,
       height: this.sourceConfig.height,
@@ -287,9 +570,9 @@ class AutoRecordDetector {
       metaPath: this.metaPath,
       model: modelOptions.model || HAILO_MODEL_NAME,
       modelOptions,
-    });
-    this.logger('AutoRecord detector start', `${this.gstCmd} ${args.join(' ')}`);
-    const child = spawn(this.gstCmd, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+    }, this.gstCmd);
+    this.logger('AutoRecord detector start', `${command} ${args.join(' ')}`);
+    const child = spawn(command, args, { stdio: ['ignore', 'pipe', 'pipe'] });
     child.stderr?.on('data', (data) => this.logger('[auto-detect] stderr', data.toString().trim()));
     child.on('error', (err) => {
       this.logger('[auto-detect] error', err.message);
@@ -357,29 +640,53 @@ if (tsNodeRegistered && AutoRecordManager && RecorderController) {
       autoRecordRecordingHeld = false;
       sharedPipeline.release('auto-record');
     };
+    const autoRecordCodec = resolveRecordCodec(process.env.AUTO_RECORD_CODEC);
+    autoRecordRecorder = new RecorderController({
+      uploadDir: UPLOAD_DIR,
+      width: DEFAULTS.width,
+      height: DEFAULTS.height,
+      fps: DEFAULTS.fps,
+      mode: 'shm',
+      gstCmd: SESSION_GST_CMD,
+      socketPath: SHARED_PIPELINE_SOCKET_RECORD,
+      sourceWidth: SESSION_DEFAULTS.width,
+      sourceHeight: SESSION_DEFAULTS.height,
+      sourceFps: SESSION_DEFAULTS.fps,
+      encoder: autoRecordCodec.encoder,
+      codec: autoRecordCodec.codec,
+      onRecordingStart: retainAutoRecordRecording,
+      onRecordingStop: releaseAutoRecordRecording,
+      videoCommands: VIDEO_COMMANDS,
+      libavCodec: LIBAV_CODECS[autoRecordCodec.codec],
+      acquireLock: tryAcquireLock,
+      releaseLock,
+      ensureUploadsDir,
+      checkStorage: () => storageMonitor.assertWritable(),
+      buildFilename: () => buildDefaultFilename({ format: 'mp4' }),
+      onRecordingFinalized: async (filename, info) => {
+        await writeCaptureSidecar(filename, {
+          source: 'auto-record',
+          format: 'mp4',
+          width: DEFAULTS.width,
+          height: DEFAULTS.height,
+          fps: DEFAULTS.fps,
+          controls: info.mode === 'shm' ? sharedPipeline.getConfig()?.controls || null : null,
+          codec: info.codec,
+          encoder: info.encoder,
+          model: describeModel(),
+          commands: [{ label: 'recorder', command: info.command, args: info.args }],
+          timings: {
+            startedAt: toIsoTime(info.startedAt),
+            stoppedAt: toIsoTime(info.stoppedAt),
+            recordMs: info.stoppedAt - info.startedAt,
+          },
+        });
+        thumbnails.schedule(filename);
+      },
+      logger: (...args) => log(...args),
+    });
     autoRecordManager = new AutoRecordManager({
-      recorder: new RecorderController({
-        uploadDir: UPLOAD_DIR,
-        width: DEFAULTS.width,
-        height: DEFAULTS.height,
-        fps: DEFAULTS.fps,
-        mode: 'shm',
-        gstCmd: SESSION_GST_CMD,
-        socketPath: SHARED_PIPELINE_SOCKET_RECORD,
-        sourceWidth: SESSION_DEFAULTS.width,
-        sourceHeight: SESSION_DEFAULTS.height,
-        sourceFps: SESSION_DEFAULTS.fps,
-        encoder: SESSION_RECORD_ENCODER,
-        onRecordingStart: retainAutoRecordRecording,
-        onRecordingStop: releaseAutoRecordRecording,
-        videoCommands: VIDEO_COMMANDS,
-        libavCodec: process.env.LIBAV_VIDEO_CODEC || 'libx264',
-        acquireLock: tryAcquireLock,
-        releaseLock,
-        ensureUploadsDir,
-        buildFilename: () => buildDefaultFilename({ format: 'mp4' }),
-        logger: (...args) => log(...args),
-      }),
+      recorder: autoRecordRecorder,
       detector: new AutoRecordDetector({
         gstCmd: SESSION_GST_CMD,
         pipeline: sharedPipeline,
@@ -396,6 +703,7 @@ if (tsNodeRegistered && AutoRecordManager && RecorderController) {
       }),
       config: AUTO_RECORD_CONFIG,
       onStateChange: (state, prevState) => {
+        events.publish('auto-record.state', { state, prevState });
         if (state === 'arming' && prevState === 'idle') {
           retainAutoRecordPipeline();
         }
@@ -414,6 +722,26 @@ if (tsNodeRegistered && AutoRecordManager && RecorderController) {
   autoRecordInitError = new Error('ts-node/register unavailable');
 }
 
+// 여유 공간 감시: 임계치 아래로 떨어지면 진행 중인 세션/자동 녹화를 멈춰 지금까지 기록한 파일을 마무리한다
+const storageMonitor = new StorageMonitor({
+  paths: [UPLOAD_DIR, SESSION_META_DIR],
+  minFreeBytes: STORAGE_MIN_FREE_BYTES,
+  criticalFreeBytes: STORAGE_CRITICAL_FREE_BYTES,
+  intervalMs: STORAGE_CHECK_INTERVAL_MS,
+  onCritical: async (status) => {
+    const session = sessionManager.currentSession;
+    if (session && session.status === 'running' && !session.stopRequested) {
+      log(`Storage critical (${status.freeBytes} bytes free) - stopping session ${session.jobId}`);
+      await sessionManager.stopSession(session.jobId, 'storage');
+    }
+    if (autoRecordManager && autoRecordRecorder?.isRecording()) {
+      log(`Storage critical (${status.freeBytes} bytes free) - stopping auto record`);
+      await autoRecordManager.stop('storage');
+    }
+  },
+  logger: (...args) => log(...args),
+});
+
 // 요청 바디 파서
 app.use(express.json({ limit: '1mb' }));
 
@@ -425,7 +753,8 @@ if (CORS_ALLOW_ALL || CORS_ORIGIN) {
 }
 
 // 업로드 파일 정적 서빙
-app.use('/uploads', express.static(UPLOAD_DIR, { extensions: ['jpg', 'h264', 'mp4'] }));
+app.use('/uploads', express.static(UPLOAD_DIR, { extensions: UPLOAD_EXTENSIONS }));
+app.use('/thumbs', express.static(THUMB_DIR));
 
 app.use((err, _req, res, next) => {
   if (err && (err.code === 'ERR_RANGE_NOT_SATISFIABLE' || err.statusCode === 416)) {
@@ -447,7 +776,7 @@ app.get('/api/uploads', async (req, res) => {
   const extParam = typeof req.query.ext === 'string' ? req.query.ext.trim() : '';
   const extList = extParam
     ? extParam.split(',').map((ext) => ext.trim().toLowerCase()).filter(Boolean)
-    : ['jpg', 'jpeg', 'png'];
+    : ['jpg', 'jpeg', 'png', 'webp', 'dng'];
   const limit = clampInt(req.query.limit, 200, 1, 1000);
   const offset = clampInt(req.query.offset, 0, 0, Number.MAX_SAFE_INTEGER);
   const sort = typeof req.query.sort === 'string' ? req.query.sort : 'desc';
@@ -460,6 +789,128 @@ app.get('/api/uploads', async (req, res) => {
   }
 });
 
+// 업로드 파일 캡처 정보 (사이드카 + 파일 정보)
+app.get('/api/uploads/*/info', async (req, res) => {
+  const decoded = decodeURIComponent(req.params[0] || '');
+  const targetPath = path.resolve(UPLOAD_DIR, decoded);
+  if (!targetPath.startsWith(`${UPLOAD_DIR}${path.sep}`)) {
+    return res.status(400).json({ ok: false, error: 'Invalid upload path' });
+  }
+  let stat;
+  try {
+    stat = await fsp.stat(targetPath);
+  } catch (_) {
+    return res.status(404).json({ ok: false, error: 'File not found' });
+  }
+  const name = path.relative(UPLOAD_DIR, targetPath);
+  const thumbNames = await thumbnails.listExisting();
+  res.json({
+    ok: true,
+    name,
+    size: stat.isDirectory() ? null : stat.size,
+    directory: stat.isDirectory(),
+    mtimeMs: stat.mtimeMs,
+    url: `/uploads/${name.split(path.sep).map(encodeURIComponent).join('/')}`,
+    thumbUrl: thumbNames.has(thumbnails.posterName(name)) ? thumbnails.urlFor(thumbnails.posterName(name)) : null,
+    capture: await readCaptureSidecar(name),
+  });
+});
+
+// 업로드 마커 조회/추가 (offsetMs는 파일 시작 기준 ms)
+app.get('/api/uploads/*/markers', async (req, res) => {
+  const decoded = decodeURIComponent(req.params[0] || '');
+  const targetPath = path.resolve(UPLOAD_DIR, decoded);
+  if (!targetPath.startsWith(`${UPLOAD_DIR}${path.sep}`)) {
+    return res.status(400).json({ ok: false, error: 'Invalid upload path' });
+  }
+  if (!fs.existsSync(targetPath)) {
+    return res.status(404).json({ ok: false, error: 'File not found' });
+  }
+  const name = path.relative(UPLOAD_DIR, targetPath);
+  const sidecar = await readCaptureSidecar(name);
+  res.json({ ok: true, name, markers: sidecar?.markers || [] });
+});
+
+app.post('/api/uploads/*/markers', async (req, res) => {
+  const decoded = decodeURIComponent(req.params[0] || '');
+  const targetPath = path.resolve(UPLOAD_DIR, decoded);
+  if (!targetPath.startsWith(`${UPLOAD_DIR}${path.sep}`)) {
+    return res.status(400).json({ ok: false, error: 'Invalid upload path' });
+  }
+  if (!fs.existsSync(targetPath)) {
+    return res.status(404).json({ ok: false, error: 'File not found' });
+  }
+  const name = path.relative(UPLOAD_DIR, targetPath);
+  try {
+    const marker = createMarker(parseMarkerInput(req.body || {}, { requireOffset: true }));
+    const markers = await appendUploadMarker(name, marker);
+    res.json({ ok: true, name, marker, markers });
+  } catch (err) {
+    const status = err.status || err.httpStatus || 500;
+    res.status(status).json({ ok: false, error: err.message });
+  }
+});
+
+// 업로드 mp4 구간 자르기 (키프레임이 맞으면 스트림 복사, 아니면 재인코딩)
+app.post('/api/uploads/*/trim', async (req, res) => {
+  const body = req.body || {};
+  const decoded = decodeURIComponent(req.params[0] || '');
+  const targetPath = path.resolve(UPLOAD_DIR, decoded);
+  if (!targetPath.startsWith(`${UPLOAD_DIR}${path.sep}`)) {
+    return res.status(400).json({ ok: false, error: 'Invalid upload path' });
+  }
+  const filename = path.relative(UPLOAD_DIR, targetPath);
+  const startSec = parseNonNegativeNumber(body.startSec, 0);
+  const endSec = Number(body.endSec);
+  if (!Number.isFinite(endSec)) {
+    return res.status(400).json({ ok: false, error: 'endSec is required' });
+  }
+  if (!(await ensureStorage(res))) return;
+  const outputName = body.filename
+    ? deriveFilename(body.filename, { format: 'mp4' })
+    : `${deriveMetaBase(filename)}_trim_${Math.round(startSec * 1000)}-${Math.round(endSec * 1000)}.mp4`;
+  const trace = [];
+  try {
+    const result = await clipTrimmer.trim({
+      filename,
+      outputName,
+      startSec,
+      endSec,
+      mode: body.mode || 'auto',
+      trace,
+    });
+    const sourceSidecar = await readCaptureSidecar(filename);
+    // 마커는 메타 t와 같은 실제 촬영 시간 기준이라 슬로모션이면 파일 시간을 환산한다
+    const timeScale = sourceSidecar?.playbackFps && sourceSidecar?.fps ? sourceSidecar.playbackFps / sourceSidecar.fps : 1;
+    const markers = sliceMarkers(sourceSidecar?.markers, result.startSec * 1000 * timeScale, result.endSec * 1000 * timeScale);
+    await writeCaptureSidecar(result.filename, {
+      source: 'trim',
+      request: body,
+      format: 'mp4',
+      width: sourceSidecar?.width,
+      height: sourceSidecar?.height,
+      fps: sourceSidecar?.fps,
+      playbackFps: sourceSidecar?.playbackFps,
+      controls: sourceSidecar?.controls || null,
+      codec: result.codec === 'hevc' ? 'h265' : result.codec,
+      trim: {
+        from: filename,
+        startSec: result.startSec,
+        endSec: result.endSec,
+        mode: result.mode,
+      },
+      metaPath: result.metaPath,
+      markers: markers.length ? markers : undefined,
+      commands: trace,
+    });
+    thumbnails.schedule(result.filename);
+    res.json({ ok: true, url: `/uploads/${encodeURIComponent(result.filename)}`, ...result });
+  } catch (err) {
+    const status = err.status || err.httpStatus || (err.code === 'TIMEOUT' ? 504 : 500);
+    res.status(status).json({ ok: false, error: err.message });
+  }
+});
+
 // 업로드 파일 삭제
 app.delete('/api/uploads/*', async (req, res) => {
   const rawPath = req.params[0] || '';
@@ -472,13 +923,29 @@ app.delete('/api/uploads/*', async (req, res) => {
     return res.status(404).json({ ok: false, error: 'File not found' });
   }
   try {
-    await fsp.unlink(targetPath);
+    const stat = await fsp.stat(targetPath);
+    if (stat.isDirectory()) {
+      // 버스트 폴더만 통째로 삭제 허용
+      if (!fs.existsSync(path.join(targetPath, 'manifest.json'))) {
+        return res.status(400).json({ ok: false, error: 'Not a burst directory' });
+      }
+      await fsp.rm(targetPath, { recursive: true, force: true });
+    } else {
+      await fsp.unlink(targetPath);
+    }
+    await fsp.unlink(`${targetPath}.capture.json`).catch(() => {});
+    await thumbnails.remove(path.relative(UPLOAD_DIR, targetPath));
     res.json({ ok: true, filename: path.basename(targetPath) });
   } catch (err) {
     res.status(500).json({ ok: false, error: err.message });
   }
 });
 
+// 코덱/인코더/포맷 지원 현황
+app.get('/api/camera/capabilities', (_req, res) => {
+  res.json({ ok: true, ...buildCapabilities() });
+});
+
 // 카메라 상태/헬스 체크
 app.get('/api/camera/status', async (_req, res) => {
   const cameraDetected = await detectCamera();
@@ -486,15 +953,35 @@ app.get('/api/camera/status', async (_req, res) => {
   res.json({
     ok: true,
     cameraDetected,
+    cameraBackend: CAMERA_SOURCE.backend,
     busy: busyState,
+    queue: captureQueue.getStatus(),
+    controls: {
+      pipeline: sharedPipeline.getConfig()?.controls || null,
+      lastCapture: lastCaptureControls,
+    },
     streaming: streamingActive,
     streamClients,
     lastStreamAt: lastStreamStateChange,
     lastCaptureAt,
     lastError,
+    storage: await storageMonitor.check().catch(() => storageMonitor.getStatus()),
+    events: events.getStatus(),
   });
 });
 
+// 실시간 이벤트 스트림 (SSE). ?types=session,capture 처럼 분류로 거를 수 있다
+// 재연결 시 Last-Event-ID 헤더(또는 ?lastEventId=) 이후 이벤트를 먼저 보낸다
+app.get('/api/events', (req, res) => {
+  const types = String(req.query.types || '')
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean);
+  const lastEventId = req.get('Last-Event-ID') ?? req.query.lastEventId ?? null;
+  req.socket.setTimeout(0);
+  events.subscribe(req, res, { lastEventId, types });
+});
+
 // 자동 녹화 상태 조회
 app.get('/api/camera/auto-record/status', async (_req, res) => {
   try {
@@ -535,6 +1022,51 @@ app.get('/api/camera/calibration/:name', async (req, res) => {
   }
 });
 
+// 캡처 프리셋 목록
+app.get('/api/camera/presets', (_req, res) => {
+  res.json({ ok: true, items: presetStore.list() });
+});
+
+// 캡처 프리셋 조회
+app.get('/api/camera/presets/:name', (req, res) => {
+  const preset = presetStore.get(req.params.name);
+  if (!preset) {
+    return res.status(404).json({ ok: false, error: 'Preset not found' });
+  }
+  res.json({ ok: true, preset });
+});
+
+// 캡처 프리셋 생성
+app.post('/api/camera/presets', async (req, res) => {
+  const body = req.body || {};
+  try {
+    const preset = await presetStore.create(String(body.name || '').trim(), body);
+    res.status(201).json({ ok: true, preset });
+  } catch (err) {
+    res.status(err.status || err.httpStatus || 500).json({ ok: false, error: err.message });
+  }
+});
+
+// 캡처 프리셋 수정(전체 교체)
+app.put('/api/camera/presets/:name', async (req, res) => {
+  try {
+    const preset = await presetStore.put(req.params.name, req.body || {});
+    res.json({ ok: true, preset });
+  } catch (err) {
+    res.status(err.status || err.httpStatus || 500).json({ ok: false, error: err.message });
+  }
+});
+
+// 캡처 프리셋 삭제
+app.delete('/api/camera/presets/:name', async (req, res) => {
+  try {
+    await presetStore.remove(req.params.name);
+    res.json({ ok: true, name: req.params.name });
+  } catch (err) {
+    res.status(err.status || err.httpStatus || 500).json({ ok: false, error: err.message });
+  }
+});
+
 // 자동 녹화 시작
 app.post('/api/camera/auto-record/start', async (req, res) => {
   const manager = resolveAutoRecordManager(res);
@@ -542,9 +1074,32 @@ app.post('/api/camera/auto-record/start', async (req, res) => {
   if (await isBusy()) {
     return res.status(409).json({ ok: false, error: 'Camera busy' });
   }
+  if (!(await ensureStorage(res))) return;
+  const body = req.body || {};
+  let codecInfo = null;
+  try {
+    if (body.codec !== undefined && autoRecordRecorder) {
+      codecInfo = resolveRecordCodec(body.codec);
+    }
+  } catch (err) {
+    return res.status(err.httpStatus || err.status || 400).json({ ok: false, error: err.message });
+  }
   try {
     const status = await manager.start();
-    res.json({ ok: true, status });
+    // 시작이 거부되면(이미 동작 중 등) 진행 중인 녹화의 코덱을 바꾸지 않도록 성공한 뒤에만 반영한다
+    if (codecInfo) {
+      autoRecordRecorder.configureEncoding({
+        codec: codecInfo.codec,
+        encoder: codecInfo.encoder,
+        libavCodec: LIBAV_CODECS[codecInfo.codec],
+      });
+    }
+    res.json({
+      ok: true,
+      status,
+      codec: autoRecordRecorder ? autoRecordRecorder.getEncoding().codec : null,
+      ...(codecInfo?.codecFallback ? { codecFallback: codecInfo.codecFallback } : {}),
+    });
   } catch (err) {
     const statusCode = err.status === 409 ? 409 : 200;
     res.status(statusCode).json({
@@ -636,23 +1191,30 @@ app.post('/api/session/start', async (req, res) => {
   if (await isBusy()) {
     return res.status(409).json({ ok: false, error: 'Camera busy' });
   }
+  if (!(await ensureStorage(res))) return;
 
   const pipelineConfig = sharedPipeline.getConfig();
   if (sharedPipeline.isRunning() && pipelineConfig) {
     options.width = pipelineConfig.width;
     options.height = pipelineConfig.height;
     options.fps = pipelineConfig.fps;
+    options.playbackFps = Math.min(options.playbackFps, options.fps);
+    options.controls = options.controls || pipelineConfig.controls || null;
   }
 
   const jobId = buildJobId();
   try {
-    const session = await sessionManager.startSession({ jobId, ...options });
+    const session = await sessionManager.startSession({ jobId, ...options, request: req.body || {} });
     res.json({
       ok: true,
       jobId,
       videoFile: session.videoFile,
       videoUrl: `/uploads/${session.videoFile}`,
       metaPath: session.metaPath,
+      codec: options.codec,
+      metadata: session.metadata,
+      ...(options.segmentSec ? { segmentSec: options.segmentSec } : {}),
+      ...(options.codecFallback ? { codecFallback: options.codecFallback } : {}),
     });
   } catch (err) {
     const status = err.status || err.httpStatus || 500;
@@ -660,6 +1222,66 @@ app.post('/api/session/start', async (req, res) => {
   }
 });
 
+// 세션 일시정지 (공유 파이프라인은 유지, 녹화/추론만 중단)
+app.post('/api/session/:jobId/pause', async (req, res) => {
+  const jobId = req.params.jobId;
+  try {
+    await sessionManager.pauseSession(jobId);
+    res.json({ ok: true, jobId, ...sessionManager.getStatus(jobId) });
+  } catch (err) {
+    const status = err.status || err.httpStatus || 500;
+    res.status(status).json({ ok: false, error: err.message });
+  }
+});
+
+// 세션 재개 (새 세그먼트로 이어서 기록, 종료 시 하나의 mp4/메타로 합친다)
+app.post('/api/session/:jobId/resume', async (req, res) => {
+  const jobId = req.params.jobId;
+  if (!(await ensureStorage(res))) return;
+  try {
+    await sessionManager.resumeSession(jobId);
+    res.json({ ok: true, jobId, ...sessionManager.getStatus(jobId) });
+  } catch (err) {
+    const status = err.status || err.httpStatus || 500;
+    res.status(status).json({ ok: false, error: err.message });
+  }
+});
+
+// 세션 마커 (진행 중이면 현재 시각, 끝난 세션은 offsetMs 지정)
+app.post('/api/session/:jobId/markers', async (req, res) => {
+  const jobId = req.params.jobId;
+  try {
+    const input = parseMarkerInput(req.body || {});
+    const result = await sessionManager.addMarker(jobId, input);
+    // 끝난 세션은 정규화된 메타/사이드카에 바로 반영 (진행 중이면 종료 시 합쳐진다)
+    // 조각 녹화 세션은 <jobId>_000.mp4처럼 이름이 달라 상태 파일의 videoFile을 쓴다
+    if (!result.running && result.videoFile) {
+      await appendUploadMarker(result.videoFile, result.marker, result.metaPath);
+    }
+    res.json({ ok: true, jobId, marker: result.marker, markers: result.markers });
+  } catch (err) {
+    const status = err.status || err.httpStatus || 500;
+    res.status(status).json({ ok: false, error: err.message });
+  }
+});
+
+// 세션 메타데이터 수정 (진행 중/끝난 세션 모두). 준 항목만 바꾸고 null이면 비운다
+app.patch('/api/session/:jobId/metadata', async (req, res) => {
+  const jobId = req.params.jobId;
+  try {
+    const result = await sessionManager.updateMetadata(jobId, req.body || {});
+    // 끝난 세션은 사이드카에도 바로 반영 (진행 중이면 종료 시 기록된다)
+    if (!result.running && result.videoFile) {
+      await updateSidecarMetadata(result.videoFile, result.metadata);
+    }
+    events.publish('session.metadata', { jobId, metadata: result.metadata });
+    res.json({ ok: true, jobId, metadata: result.metadata });
+  } catch (err) {
+    const status = err.status || err.httpStatus || 500;
+    res.status(status).json({ ok: false, error: err.message });
+  }
+});
+
 // 녹화+추론 세션 종료
 app.post('/api/session/:jobId/stop', async (req, res) => {
   const jobId = req.params.jobId;
@@ -691,19 +1313,28 @@ app.delete('/api/session/:jobId', async (req, res) => {
   }
 });
 
-// 세션 목록 조회
+// 세션 목록 조회 (필터/정렬, total, offset 또는 cursor 페이지)
 app.get('/api/session/list', async (req, res) => {
-  const limit = clamp(parseNonNegativeNumber(req.query.limit, 50), 1, 200);
-  const offset = clamp(parseNonNegativeNumber(req.query.offset, 0), 0, 1000);
+  let query;
+  try {
+    query = parseSessionQuery(req.query);
+  } catch (err) {
+    return res.status(err.status || 400).json({ ok: false, error: err.message });
+  }
 
   try {
-    const sessions = await listSessions({ limit, offset });
-    res.json({ ok: true, sessions });
+    const { total, sessions, nextCursor } = applySessionQuery(await listSessions(), query);
+    res.json({ ok: true, total, sessions, nextCursor });
   } catch (err) {
     res.status(500).json({ ok: false, error: err.message });
   }
 });
 
+// 서버 시작 시 중단된 세션 복구 결과
+app.get('/api/session/recovery', (_req, res) => {
+  res.json({ ok: true, pending: !lastRecoveryReport, report: lastRecoveryReport });
+});
+
 // 세션 상태 조회
 app.get('/api/session/:jobId/status', (req, res) => {
   const jobId = req.params.jobId;
@@ -714,6 +1345,110 @@ app.get('/api/session/:jobId/status', (req, res) => {
   res.json({ ok: true, jobId, ...status });
 });
 
+// 세션 내보내기: 영상/메타/상태/보정/AI 설정을 tar 하나로 스트리밍
+app.get('/api/session/:jobId/export', async (req, res) => {
+  const jobId = req.params.jobId;
+  // Express가 %2F를 풀어 주므로 경로를 만들기 전에 가져오기와 같은 규칙으로 확인
+  if (!isValidJobId(jobId)) {
+    return res.status(400).json({ ok: false, error: 'Invalid jobId' });
+  }
+  if (sessionManager.getStatus(jobId)?.status === 'running') {
+    return res.status(409).json({ ok: false, error: 'Session is still running' });
+  }
+  const state = sessionManager.readStateSync(path.join(SESSION_STATE_DIR, `${jobId}.session.json`));
+  if (!state) {
+    return res.status(404).json({ ok: false, error: 'Session not found' });
+  }
+  // 종료 직후 영상 마무리(.part → .mp4) 중이면 빠진 번들이 되므로 잠시 뒤에 다시 받게 한다
+  if (state.videoPartPath && fs.existsSync(state.videoPartPath)) {
+    return res.status(409).json({ ok: false, error: 'Session video is still being finalized' });
+  }
+  let bundle;
+  try {
+    bundle = buildSessionBundle({
+      state,
+      uploadDir: UPLOAD_DIR,
+      calibrationPath: resolveSessionCalibrationPath(state),
+      aiConfigPath: resolveSessionAiConfigPath(state),
+      host: HOST_INFO,
+    });
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+  res.setHeader('Content-Type', 'application/x-tar');
+  res.setHeader('Content-Disposition', `attachment; filename="${jobId}.tar"`);
+  try {
+    await pipeline(createTarStream(bundle.entries), res);
+  } catch (err) {
+    log('Session export failed', jobId, err.message);
+    res.destroy(err);
+  }
+});
+
+// 세션 가져오기: export로 만든 tar를 요청 본문(application/x-tar)으로 받아 같은 jobId로 복원
+app.post('/api/session/import', async (req, res) => {
+  if (req.is('application/json')) {
+    return res.status(415).json({ ok: false, error: 'Send the exported tar as the request body' });
+  }
+  const contentLength = Number(req.headers['content-length']);
+  if (Number.isFinite(contentLength) && contentLength > SESSION_IMPORT_MAX_BYTES) {
+    res.set('Connection', 'close');
+    return res.status(413).json({ ok: false, error: formatImportLimitError() });
+  }
+  if (!(await ensureStorage(res))) return;
+  const bundlePath = path.join(DATA_DIR, `import_${buildJobId('bundle')}.tar`);
+  try {
+    await ensureSessionDirs();
+    // req를 pipeline에 넣으면 한도 초과 시 소켓까지 끊겨 413을 보낼 수 없으므로 직접 잇는다
+    const limiter = createByteLimit(SESSION_IMPORT_MAX_BYTES);
+    req.on('close', () => {
+      if (!req.complete) limiter.destroy(new Error('Upload aborted'));
+    });
+    req.pipe(limiter);
+    await pipeline(limiter, fs.createWriteStream(bundlePath));
+    const result = await importSessionBundle(bundlePath, {
+      uploadDir: UPLOAD_DIR,
+      metaDir: SESSION_META_DIR,
+      stateDir: SESSION_STATE_DIR,
+      logger: (...args) => log(...args),
+    });
+    if (result.state.videoFile && fs.existsSync(path.join(UPLOAD_DIR, result.state.videoFile))) {
+      thumbnails.schedule(result.state.videoFile);
+    }
+    events.publish('session.imported', { jobId: result.jobId, files: result.files });
+    res.json({ ok: true, jobId: result.jobId, files: result.files, imported: result.state.imported });
+  } catch (err) {
+    const status = err.status || err.httpStatus || 500;
+    if (status === 413) {
+      // 남은 본문은 받지 않고 응답 뒤 연결을 닫는다
+      req.unpipe();
+      res.set('Connection', 'close');
+    }
+    res.status(status).json({ ok: false, error: err.message });
+  } finally {
+    await fsp.unlink(bundlePath).catch(() => undefined);
+  }
+});
+
+function formatImportLimitError() {
+  return `Bundle exceeds ${Math.round(SESSION_IMPORT_MAX_BYTES / 1024 / 1024)} MB (SESSION_IMPORT_MAX_MB)`;
+}
+
+// 지나간 바이트 수를 세다가 maxBytes를 넘으면 413으로 끊는다 (Content-Length 없이 보내는 요청 대비)
+function createByteLimit(maxBytes) {
+  let received = 0;
+  return new Transform({
+    transform(chunk, _encoding, callback) {
+      received += chunk.length;
+      if (received > maxBytes) {
+        callback(httpError(formatImportLimitError(), 413));
+        return;
+      }
+      callback(null, chunk);
+    },
+  });
+}
+
 // 세션 메타 전체 조회
 app.get('/api/session/:jobId/meta', async (req, res) => {
   const jobId = req.params.jobId;
@@ -725,12 +1460,14 @@ app.get('/api/session/:jobId/meta', async (req, res) => {
     const targetPath = fs.existsSync(metaPath) ? metaPath : metaRawPath;
     const raw = await fsp.readFile(targetPath, 'utf8');
     let frames = [];
+    let markers = sessionManager.getStatus(jobId)?.markers || [];
     try {
       const parsed = JSON.parse(raw);
       if (Array.isArray(parsed)) {
         frames = parsed;
       } else if (Array.isArray(parsed.frames)) {
         frames = parsed.frames;
+        markers = Array.isArray(parsed.markers) ? parsed.markers : markers;
       }
     } catch (_) {
       // fall back to best-effort extraction
@@ -744,7 +1481,7 @@ app.get('/api/session/:jobId/meta', async (req, res) => {
     frames = applyLabelMap(frames, metaOptions.labelMap, metaOptions.allowedLabels).filter(
       (frame) => frame.t !== null || frame.detections.length,
     );
-    res.json({ ok: true, jobId, metaPath, frames });
+    res.json({ ok: true, jobId, metaPath, markers, frames });
   } catch (err) {
     res.status(404).json({ ok: false, error: err.message, metaPath, frames: [] });
   }
@@ -764,7 +1501,7 @@ app.get('/api/session/:jobId/live', async (req, res) => {
   const metaOptions = getSessionMetaOptions(jobId);
 
   try {
-    const targetPath = fs.existsSync(metaPath) ? metaPath : metaRawPath;
+    const targetPath = sessionManager.getLiveMetaPath(jobId) || (fs.existsSync(metaPath) ? metaPath : metaRawPath);
     const text = await readTail(targetPath, tailBytes);
     const frames = applyLabelMap(
       parseTailFrames(text, tailFrames),
@@ -778,126 +1515,163 @@ app.get('/api/session/:jobId/live', async (req, res) => {
 });
 
 // 캡처 (jpg/h264/mp4)
-app.post('/api/camera/capture', async (req, res) => {
-  let options;
-  try {
-    options = parseCaptureOptions(req.body || {});
-  } catch (err) {
-    return res.status(err.httpStatus || 400).json({ ok: false, error: err.message });
-  }
+app.post('/api/camera/capture', (req, res) => handleCaptureRequest(req, res, { analyze: false }));
 
-  const canUseSharedCapture = sharedPipeline.isRunning()
-    && streamingActive
-    && ['jpg', 'h264', 'mp4'].includes(options.format);
-  if (streamingActive && !canUseSharedCapture) {
-    return res.status(409).json({ ok: false, error: 'Camera streaming in progress' });
-  }
-  if (sharedPipeline.isRunning() && !canUseSharedCapture) {
-    return res.status(409).json({ ok: false, error: 'Camera pipeline active' });
-  }
+// 캡처 후 메타 생성 + 분석 트리거
+app.post('/api/camera/capture-and-analyze', (req, res) => handleCaptureRequest(req, res, { analyze: true }));
 
-  const timeouts = computeTimeouts(options.format, options.durationSec);
-  const acquired = await tryAcquireLock(timeouts.total);
-  if (!acquired) {
-    return res.status(409).json({ ok: false, error: 'Camera busy' });
+// 비동기 캡처 상태 조회
+app.get('/api/camera/capture/:id', (req, res) => {
+  const job = captureJobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ ok: false, error: 'Capture not found' });
   }
+  res.json({ ok: true, ...job });
+});
 
-  let filename;
+// 비동기 캡처 취소
+app.post('/api/camera/capture/:id/cancel', async (req, res) => {
   try {
-    if (canUseSharedCapture) {
-      filename = await handleSharedCapture(options, timeouts);
-    } else {
-      filename = await handleCapture(options, timeouts);
-    }
-    lastCaptureAt = new Date().toISOString();
-    lastError = null;
-    res.json({ ok: true, filename, url: `/uploads/${filename}` });
+    const job = await captureJobs.cancel(req.params.id);
+    res.json({ ok: true, ...job });
   } catch (err) {
-    lastError = err.message;
-    const status = err.httpStatus || (err.code === 'TIMEOUT' ? 504 : 500);
-    res.status(status).json({ ok: false, error: err.message });
-  } finally {
-    await releaseLock();
+    res.status(err.status || 500).json({ ok: false, error: err.message });
   }
 });
 
-// 캡처 후 메타 생성 + 분석 트리거
-app.post('/api/camera/capture-and-analyze', async (req, res) => {
-  let options;
+// 프리롤 버퍼 상태
+app.get('/api/camera/preroll/status', async (_req, res) => {
   try {
-    options = parseCaptureOptions(req.body || {});
+    const status = await preRollBuffer.getStatus();
+    res.json({ ok: true, status });
   } catch (err) {
-    return res.status(err.httpStatus || 400).json({ ok: false, error: err.message });
+    res.status(500).json({ ok: false, error: err.message });
   }
+});
 
-  const canUseSharedCapture = sharedPipeline.isRunning()
-    && streamingActive
-    && ['jpg', 'h264', 'mp4'].includes(options.format);
-  if (streamingActive && !canUseSharedCapture) {
-    return res.status(409).json({ ok: false, error: 'Camera streaming in progress' });
+// 프리롤 버퍼 시작
+app.post('/api/camera/preroll/start', async (req, res) => {
+  let controls;
+  try {
+    controls = parseCameraControls((req.body || {}).controls);
+  } catch (err) {
+    return res.status(err.status || 400).json({ ok: false, error: err.message });
   }
-  if (sharedPipeline.isRunning() && !canUseSharedCapture) {
-    return res.status(409).json({ ok: false, error: 'Camera pipeline active' });
+  const sourceConfig = sharedPipeline.getConfig() || {
+    width: SESSION_DEFAULTS.width,
+    height: SESSION_DEFAULTS.height,
+    fps: SESSION_DEFAULTS.fps,
+  };
+  try {
+    const status = await preRollBuffer.start(controls ? { ...sourceConfig, controls } : sourceConfig);
+    res.json({ ok: true, status });
+  } catch (err) {
+    const status = err.status || err.httpStatus || 500;
+    res.status(status).json({ ok: false, error: err.message });
   }
+});
 
-  const timeouts = computeTimeouts(options.format, options.durationSec);
-  const acquired = await tryAcquireLock(timeouts.total);
-  if (!acquired) {
-    return res.status(409).json({ ok: false, error: 'Camera busy' });
+// 프리롤 버퍼 종료
+app.post('/api/camera/preroll/stop', async (_req, res) => {
+  try {
+    const status = await preRollBuffer.stop();
+    res.json({ ok: true, status });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: err.message });
   }
+});
 
-  let filename;
+// 프리롤 저장 (직전 N초 + 이후 M초)
+app.post('/api/camera/preroll/save', async (req, res) => {
+  const body = req.body || {};
+  const beforeSec = parseNonNegativeNumber(body.beforeSec, PREROLL_BUFFER_SEC);
+  const afterSec = parseNonNegativeNumber(body.afterSec, 0);
+  const filename = deriveFilename(body.filename, { format: 'mp4' });
+  const finalPath = path.join(UPLOAD_DIR, filename);
+  const tempPath = `${finalPath}.part`;
+  if (!(await ensureStorage(res))) return;
+
+  const trace = [];
   try {
-    if (canUseSharedCapture) {
-      filename = await handleSharedCapture(options, timeouts);
-    } else {
-      filename = await handleCapture(options, timeouts);
-    }
+    await ensureUploadsDir();
+    const result = await preRollBuffer.save({ beforeSec, afterSec, outputPath: tempPath, trace });
+    await finalizeTempFile(tempPath, finalPath);
     lastCaptureAt = new Date().toISOString();
+    lastCaptureControls = preRollBuffer.sourceConfig?.controls || null;
     lastError = null;
-    const metaBase = deriveMetaBase(filename);
-    const metaPath = path.join(SESSION_META_DIR, `${metaBase}.meta.json`);
-    const metaRawPath = `${metaPath}.raw`;
-
-    await ensureSessionDirs();
-    await runHailoInferenceOnFile({
-      format: options.format,
-      inputPath: path.join(UPLOAD_DIR, filename),
-      metaRawPath,
-      model: options.model,
-      modelOptions: options.modelOptions,
-      durationSec: options.durationSec,
-    });
-    const metaOptions = getModelMetaOptions(options.modelOptions);
-    await normalizeMetaFile(metaRawPath, metaPath, {
-      jobId: metaBase,
-      fps: options.fps,
-      width: options.width,
-      height: options.height,
-      durationMs: Number(options.durationSec) > 0 ? Math.round(Number(options.durationSec) * 1000) : null,
-      labelMap: metaOptions.labelMap,
-      allowedLabels: metaOptions.allowedLabels,
+    thumbnails.schedule(filename);
+    await writeCaptureSidecar(filename, {
+      source: 'preroll',
+      request: body,
+      format: 'mp4',
+      width: preRollBuffer.sourceConfig?.width,
+      height: preRollBuffer.sourceConfig?.height,
+      fps: preRollBuffer.sourceConfig?.fps,
+      durationSec: result.durationSec,
+      controls: lastCaptureControls,
+      encoder: preRollBuffer.encoder,
+      commands: [
+        ...(preRollBuffer.recorderCommand ? [{ label: 'recorder', ...preRollBuffer.recorderCommand }] : []),
+        ...trace,
+      ],
+      timings: {
+        requestedAt: toIsoTime(result.requestedAt),
+        finishedAt: new Date().toISOString(),
+        beforeSec: result.beforeSec,
+        afterSec: result.afterSec,
+      },
     });
+    res.json({ ok: true, filename, url: `/uploads/${filename}`, ...result });
+  } catch (err) {
+    await fsp.unlink(tempPath).catch(() => {});
+    lastError = err.message;
+    const status = err.status || err.httpStatus || (err.code === 'TIMEOUT' ? 504 : 500);
+    res.status(status).json({ ok: false, error: err.message });
+  }
+});
 
-    triggerAnalyzeRequest({
-      jobId: metaBase,
-      filename,
-      metaPath,
-      force: Boolean(req.body?.force),
-    }).catch(() => {});
+// 타임랩스 상태
+app.get('/api/camera/timelapse/status', (_req, res) => {
+  res.json({ ok: true, status: timelapse.getStatus() });
+});
 
-    res.json({
-      ok: true,
-      filename,
-      url: `/uploads/${filename}`,
-      metaPath,
+// 타임랩스 시작 (intervalSec마다 jpg 또는 clipSec 길이 mp4 캡처)
+app.post('/api/camera/timelapse/start', async (req, res) => {
+  const body = req.body || {};
+  let captureOptions;
+  try {
+    captureOptions = parseCaptureOptions({ ...body, durationSec: body.clipSec, filename: undefined });
+  } catch (err) {
+    return res.status(err.httpStatus || 400).json({ ok: false, error: err.message });
+  }
+  if (captureOptions.sensorMode && CAMERA_SOURCE.virtual) {
+    return res.status(400).json({ ok: false, error: `sensorMode needs the libcamera backend (current: ${CAMERA_SOURCE.backend})` });
+  }
+  if (!(await ensureStorage(res))) return;
+  try {
+    await ensureUploadsDir();
+    const status = await timelapse.start({
+      format: captureOptions.format,
+      intervalSec: body.intervalSec,
+      count: body.count,
+      maxDurationSec: body.maxDurationSec,
+      assemble: body.assemble === true || body.assemble === 'true',
+      assembleFps: body.assembleFps,
+      captureOptions,
     });
+    res.json({ ok: true, status });
   } catch (err) {
-    lastError = err.message;
-    const status = err.httpStatus || (err.code === 'TIMEOUT' ? 504 : 500);
-    res.status(status).json({ ok: false, error: err.message });
-  } finally {
-    await releaseLock();
+    res.status(err.status || err.httpStatus || 500).json({ ok: false, error: err.message });
+  }
+});
+
+// 타임랩스 종료 (진행 중 캡처는 취소, 필요 시 mp4 조립은 백그라운드 진행)
+app.post('/api/camera/timelapse/stop', async (_req, res) => {
+  try {
+    const status = await timelapse.stop('user');
+    res.json({ ok: true, status });
+  } catch (err) {
+    res.status(err.status || err.httpStatus || 500).json({ ok: false, error: err.message });
   }
 });
 
@@ -932,7 +1706,15 @@ app.post('/api/meta/from-file', async (req, res) => {
   }
 
   const ext = path.extname(resolvedInput).toLowerCase();
-  const format = ext === '.mp4' ? 'mp4' : ext === '.h264' ? 'h264' : ext === '.jpg' || ext === '.jpeg' ? 'jpg' : null;
+  const format = ext === '.mp4'
+    ? 'mp4'
+    : ext === '.h264'
+      ? 'h264'
+      : ext === '.jpg' || ext === '.jpeg'
+        ? 'jpg'
+        : ext === '.png' || ext === '.webp'
+          ? ext.slice(1)
+          : null;
   if (!format) {
     return res.status(400).json({ ok: false, error: 'Unsupported input format for inference' });
   }
@@ -969,6 +1751,7 @@ app.post('/api/meta/from-file', async (req, res) => {
       model,
       modelOptions,
       durationSec,
+      fps,
     });
     const metaOptions = getModelMetaOptions(modelOptions);
     await normalizeMetaFile(metaRawPath, metaPath, {
@@ -1136,7 +1919,9 @@ app.get('/api/camera/stream.ai.mjpeg', async (req, res) => {
   }
 
   const previewId = ++aiPreviewSessionCounter;
-  const previewArgs = buildGstShmAiPreviewArgs({
+  // mock 추론에서는 hailooverlay를 쓸 수 없어 일반 프리뷰로 대신한다
+  const buildAiPreviewArgs = HAILO_MOCK ? buildGstShmPreviewArgs : buildGstShmAiPreviewArgs;
+  const previewArgs = buildAiPreviewArgs({
     socketPath: SHARED_PIPELINE_SOCKET_PREVIEW,
     srcWidth: sourceConfig.width,
     srcHeight: sourceConfig.height,
@@ -1284,6 +2069,35 @@ process.on('unhandledRejection', (reason) => {
 (async () => {
   await ensureUploadsDir();
   await cleanupStaleLock();
+  await ensureSessionDirs();
+  // file 백엔드: 파이프라인이 뜨기 전에 반복 재생용 원시 스트림을 준비한다 (실패하면 원본을 decodebin으로 재생)
+  await prepareCameraSourceFile(CAMERA_SOURCE, {
+    cacheDir: path.join(DATA_DIR, 'camera-source'),
+    runCommand,
+    logger: log,
+  }).catch((err) => log('Camera source file preparation failed', err.message));
+  storageMonitor.start();
+  await migrateLegacyStorage({
+    legacyDir: LEGACY_SESSION_DIR,
+    stateDir: SESSION_STATE_DIR,
+    metaDir: SESSION_META_DIR,
+    markerFile: STORAGE_MIGRATION_FILE,
+    logger: log,
+  }).catch((err) => log('Legacy storage migration failed', err.message));
+  // ffmpeg 복구가 오래 걸릴 수 있어 리스닝을 막지 않는다
+  // 대상 목록은 리스닝 전에 찍어 두어 그 뒤에 시작된 세션/캡처의 파일은 건드리지 않는다
+  const recoveryTargets = await snapshotRecoveryTargets().catch((err) => {
+    log('Startup recovery scan failed', err.message);
+    return null;
+  });
+  if (recoveryTargets) {
+    recoverInterruptedWork(recoveryTargets).catch((err) => log('Startup recovery failed', err.message));
+  }
+  if (PREROLL_AUTOSTART) {
+    preRollBuffer
+      .start({ width: SESSION_DEFAULTS.width, height: SESSION_DEFAULTS.height, fps: SESSION_DEFAULTS.fps })
+      .catch((err) => log('Pre-roll autostart failed', err.message));
+  }
   app.listen(PORT, () => {
     log(`Capture server listening on port ${PORT}`);
   });
@@ -1508,36 +2322,170 @@ function setAiConfigByName(name) {
   return { name: safeName, path: aiPostprocessConfig };
 }
 
-function parseSessionOptions(body) {
+function parseSessionOptions(rawBody) {
+  const { preset, body } = applyPreset(rawBody);
   const width = parsePositiveNumber(body.width, SESSION_DEFAULTS.width);
   const height = parsePositiveNumber(body.height, SESSION_DEFAULTS.height);
   const fps = parsePositiveNumber(body.fps, SESSION_DEFAULTS.fps);
+  const playbackFps = parsePlaybackFps(body.playbackFps, fps);
   const durationSec = parseNonNegativeNumber(body.durationSec, 0);
   const model = normalizeRequestedModel(body.model);
   const modelOptions = buildHailoModelOptions(model);
-  return { width, height, fps, durationSec, model, modelOptions };
+  const controls = parseCameraControls(body.controls);
+  const codecInfo = resolveRecordCodec(body.codec);
+  const segmentSec = parseSegmentSec(body.segmentSec);
+  const encoder = codecInfo.encoder || SESSION_RECORD_ENCODER;
+  if (segmentSec && !supportsKeyframeInterval(encoder)) {
+    throw httpError(`segmentSec needs an encoder with a configurable keyframe interval (current: ${encoder})`, 400);
+  }
+  // 세션은 libcamerasrc로 녹화해 rpicam --mode를 넘길 곳이 없다 (조용히 무시하지 않고 거부)
+  if (parseSensorMode(body.sensorMode)) {
+    throw httpError('sensorMode is only supported for direct rpicam captures, not sessions', 400);
+  }
+  let metadata;
+  try {
+    metadata = parseSessionMetadata(body.metadata);
+  } catch (err) {
+    throw httpError(err.message, err.status || 400);
+  }
+  return {
+    width,
+    height,
+    fps,
+    playbackFps,
+    durationSec,
+    model,
+    modelOptions,
+    controls,
+    preset,
+    segmentSec,
+    metadata,
+    ...codecInfo,
+  };
+}
+
+// 세션 녹화 조각 길이(초). 0/미지정이면 한 파일로 기록
+function parseSegmentSec(value) {
+  if (value === undefined || value === null || value === '') return 0;
+  const num = Number(value);
+  if (!Number.isFinite(num) || num < 0) {
+    throw httpError('segmentSec must be a non-negative number', 400);
+  }
+  if (num > 0 && (num < SESSION_SEGMENT_MIN_SEC || num > SESSION_SEGMENT_MAX_SEC)) {
+    throw httpError(`segmentSec must be 0 or between ${SESSION_SEGMENT_MIN_SEC} and ${SESSION_SEGMENT_MAX_SEC}`, 400);
+  }
+  return num;
+}
+
+// preset 값 위에 요청 값을 덮어쓴다 (controls는 항목 단위 병합)
+function applyPreset(rawBody) {
+  if (!rawBody.preset) {
+    return { preset: null, body: rawBody };
+  }
+  const name = String(rawBody.preset).trim();
+  let fields;
+  try {
+    fields = presetStore.resolve(name);
+  } catch (err) {
+    throw httpError(err.message, err.status || 400);
+  }
+  const overrides = Object.fromEntries(
+    Object.entries(rawBody).filter(
+      ([key, value]) => key !== 'preset' && value !== undefined && value !== null && value !== '',
+    ),
+  );
+  const body = { ...fields, ...overrides };
+  if (fields.controls && overrides.controls && typeof overrides.controls === 'object') {
+    body.controls = { ...fields.controls, ...overrides.controls };
+  }
+  return { preset: name, body };
 }
 
-function buildJobId() {
+function buildJobId(prefix = 'session') {
   const now = new Date();
   const pad = (n, len = 2) => String(n).padStart(len, '0');
   const ts = `${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}_${pad(
     now.getHours(),
   )}${pad(now.getMinutes())}${pad(now.getSeconds())}_${pad(now.getMilliseconds(), 3)}`;
   const suffix = Math.random().toString(36).slice(2, 8);
-  return `session_${ts}_${suffix}`;
+  return `${prefix}_${ts}_${suffix}`;
 }
 
-function detectRecordEncoder() {
-  const candidates = ['x264enc', 'openh264enc', 'v4l2h264enc', 'avenc_h264', 'avenc_h264_omx'];
-  for (const candidate of candidates) {
+// 코덱별 첫 번째 사용 가능한 gst 인코더 (H.264는 openh264enc로 폴백, H.265는 없으면 null)
+function detectRecordEncoder(codec = 'h264') {
+  for (const candidate of RECORD_ENCODER_CANDIDATES[codec]) {
     if (gstElementAvailable(candidate)) {
-      log(`Record encoder selected: ${candidate}`);
+      log(`Record encoder selected (${codec}): ${candidate}`);
       return candidate;
     }
   }
-  log('No preferred H.264 encoder found; defaulting to openh264enc');
-  return 'openh264enc';
+  if (codec === 'h264') {
+    log('No preferred H.264 encoder found; defaulting to openh264enc');
+    return 'openh264enc';
+  }
+  log(`No ${codec} encoder found; ${codec} requests fall back to h264`);
+  return null;
+}
+
+// 요청 코덱 → 실제 사용할 코덱/인코더 (인코더가 없으면 h264로 폴백하고 사유를 남긴다)
+function resolveRecordCodec(requested) {
+  const codec = parseRecordCodec(requested);
+  if (RECORD_ENCODERS[codec]) {
+    return { codec, encoder: RECORD_ENCODERS[codec], requestedCodec: codec, codecFallback: null };
+  }
+  return {
+    codec: 'h264',
+    encoder: RECORD_ENCODERS.h264,
+    requestedCodec: codec,
+    codecFallback: `No ${codec} encoder available (${RECORD_ENCODER_CANDIDATES[codec].join(', ')})`,
+  };
+}
+
+function parseRecordCodec(value) {
+  if (value === undefined || value === null || value === '') return 'h264';
+  const codec = String(value).trim().toLowerCase();
+  const normalized = codec === 'hevc' ? 'h265' : codec;
+  if (!RECORD_CODECS.includes(normalized)) {
+    throw httpError(`Invalid codec. Use ${RECORD_CODECS.join(' or ')}`, 400);
+  }
+  return normalized;
+}
+
+// 캡처 기능 매트릭스 (코덱별 인코더 후보와 사용 가능 여부, gst-inspect 결과는 1회만 조회)
+function buildCapabilities() {
+  if (!encoderMatrix) {
+    encoderMatrix = {};
+    RECORD_CODECS.forEach((codec) => {
+      encoderMatrix[codec] = RECORD_ENCODER_CANDIDATES[codec].map((name) => ({
+        name,
+        available: gstElementAvailable(name),
+      }));
+    });
+  }
+  const codecs = {};
+  RECORD_CODECS.forEach((codec) => {
+    // 실제로 확인된 인코더만 available로 본다. 확인 없이 쓰는 기본값(h264 → openh264enc)은 fallbackEncoder로 따로 알린다
+    const encoder = encoderMatrix[codec].find((candidate) => candidate.available)?.name || null;
+    codecs[codec] = {
+      available: Boolean(encoder),
+      encoder,
+      fallbackEncoder: !encoder && RECORD_ENCODERS[codec] ? RECORD_ENCODERS[codec] : null,
+      libavCodec: LIBAV_CODECS[codec],
+      candidates: encoderMatrix[codec],
+    };
+  });
+  return {
+    cameraBackend: CAMERA_SOURCE.backend,
+    inference: HAILO_MOCK ? 'mock' : 'hailo',
+    codecs,
+    defaultCodec: 'h264',
+    formats: {
+      still: CAMERA_SOURCE.virtual ? SHARED_STILL_FORMATS : STILL_FORMATS,
+      sharedStill: SHARED_STILL_FORMATS,
+      video: ['h264', 'mp4'],
+      burst: true,
+    },
+  };
 }
 
 function gstElementAvailable(element) {
@@ -1550,35 +2498,61 @@ function gstElementAvailable(element) {
   }
 }
 
-async function listSessions({ limit, offset }) {
-  const entries = await fsp.readdir(SESSION_STATE_DIR, { withFileTypes: true });
+// 상태 파일 요약 캐시 (파일명 → { mtimeMs, item }). 바뀐 파일만 다시 읽는다
+const sessionListCache = new Map();
+
+// 상태 파일 전체 요약 (필터/정렬/페이지는 applySessionQuery)
+async function listSessions() {
+  let entries = [];
+  try {
+    entries = await fsp.readdir(SESSION_STATE_DIR, { withFileTypes: true });
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
   const items = [];
+  const seen = new Set();
 
   for (const entry of entries) {
     if (!entry.isFile() || !entry.name.endsWith('.session.json')) continue;
     const statePath = path.join(SESSION_STATE_DIR, entry.name);
+    seen.add(entry.name);
     try {
-      const raw = await fsp.readFile(statePath, 'utf8');
-      const parsed = JSON.parse(raw);
-      const jobId = parsed.jobId || deriveJobIdFromStateFile(entry.name);
-      const videoFile = parsed.videoFile || null;
-      items.push({
-        jobId,
-        status: parsed.status || 'unknown',
-        startedAt: parsed.startedAt || null,
-        stoppedAt: parsed.stoppedAt || null,
-        errorMessage: parsed.errorMessage || null,
-        videoFile,
-        videoUrl: videoFile ? `/uploads/${videoFile}` : null,
-        metaPath: parsed.metaPath || null,
-      });
+      const { mtimeMs } = await fsp.stat(statePath);
+      let cached = sessionListCache.get(entry.name);
+      if (!cached || cached.mtimeMs !== mtimeMs) {
+        const parsed = JSON.parse(await fsp.readFile(statePath, 'utf8'));
+        cached = { mtimeMs, item: summarizeSessionState(parsed, entry.name) };
+        sessionListCache.set(entry.name, cached);
+      }
+      // 메타 정규화는 상태 파일을 쓴 뒤에 끝나므로 매번 확인한다
+      items.push({ ...cached.item, hasMeta: Boolean(cached.item.metaPath && fs.existsSync(cached.item.metaPath)) });
     } catch (err) {
       log('Session list parse error', entry.name, err.message);
     }
   }
+  for (const name of sessionListCache.keys()) {
+    if (!seen.has(name)) sessionListCache.delete(name);
+  }
+  return items;
+}
 
-  items.sort((a, b) => (b.startedAt || 0) - (a.startedAt || 0));
-  return items.slice(offset, offset + limit);
+function summarizeSessionState(parsed, fileName) {
+  const videoFile = parsed.videoFile || null;
+  const startedAt = parsed.startedAt || null;
+  const stoppedAt = parsed.stoppedAt || null;
+  return {
+    jobId: parsed.jobId || deriveJobIdFromStateFile(fileName),
+    status: parsed.status || 'unknown',
+    startedAt,
+    stoppedAt,
+    durationMs: startedAt && stoppedAt ? stoppedAt - startedAt - (parsed.pausedMs || 0) : null,
+    errorMessage: parsed.errorMessage || null,
+    model: parsed.model || null,
+    videoFile,
+    videoUrl: videoFile ? `/uploads/${videoFile}` : null,
+    metaPath: parsed.metaPath || null,
+    metadata: parsed.metadata || null,
+  };
 }
 
 async function listUploadFiles({ extList, limit, offset, sort }) {
@@ -1592,6 +2566,7 @@ async function listUploadFiles({ extList, limit, offset, sort }) {
     throw err;
   }
 
+  const thumbNames = await thumbnails.listExisting();
   const items = [];
   for (const entry of entries) {
     if (!entry.isFile()) continue;
@@ -1606,6 +2581,12 @@ async function listUploadFiles({ extList, limit, offset, sort }) {
         size: stat.size,
         mtimeMs: stat.mtimeMs,
         url: `/uploads/${encodeURIComponent(entry.name)}`,
+        thumbUrl: thumbNames.has(thumbnails.posterName(entry.name))
+          ? thumbnails.urlFor(thumbnails.posterName(entry.name))
+          : null,
+        previewUrl: thumbNames.has(thumbnails.animatedName(entry.name))
+          ? thumbnails.urlFor(thumbnails.animatedName(entry.name))
+          : null,
       });
     } catch (err) {
       log('Upload stat error', entry.name, err.message);
@@ -1710,24 +2691,91 @@ async function finalizeAutoRecordMeta(filename) {
   return metaPath;
 }
 
-function parseCaptureOptions(body) {
+function parseCaptureOptions(rawBody) {
+  const { preset, body } = applyPreset(rawBody);
   const format = (body.format || 'jpg').toLowerCase();
-  if (!['jpg', 'h264', 'mp4'].includes(format)) {
-    throw httpError('Invalid format. Use jpg, h264, or mp4', 400);
+  if (![...STILL_FORMATS, 'h264', 'mp4', 'burst'].includes(format)) {
+    throw httpError(`Invalid format. Use ${STILL_FORMATS.join(', ')}, h264, mp4, or burst`, 400);
   }
+  const still = isStillFormat(format);
 
   const width = parsePositiveNumber(body.width, DEFAULTS.width);
   const height = parsePositiveNumber(body.height, DEFAULTS.height);
-  const fps = format === 'jpg' ? DEFAULTS.fps : parsePositiveNumber(body.fps, DEFAULTS.fps);
-  const durationSec = parsePositiveNumber(
-    body.durationSec,
-    format === 'jpg' ? DEFAULTS.stillDurationSec : DEFAULTS.videoDurationSec,
-  );
+  const fps = still ? DEFAULTS.fps : parsePositiveNumber(body.fps, DEFAULTS.fps);
+  const burst = format === 'burst' ? parseBurstOptions(body, fps) : null;
+  const playbackFps = ['h264', 'mp4'].includes(format) ? parsePlaybackFps(body.playbackFps, fps) : fps;
+  const sensorMode = parseSensorMode(body.sensorMode);
+  const codecInfo = resolveRecordCodec(body.codec);
+  // 세션용 프리셋은 format 없이 codec만 지정할 수 있으므로 명시된 format만 검사
+  if (codecInfo.requestedCodec !== 'h264' && body.format && format !== 'mp4') {
+    throw httpError(`codec ${codecInfo.requestedCodec} is only supported for mp4`, 400);
+  }
+  const durationSec = burst
+    ? burst.windowSec
+    : parsePositiveNumber(
+        body.durationSec,
+        still ? DEFAULTS.stillDurationSec : DEFAULTS.videoDurationSec,
+      );
 
-  const filename = deriveFilename(body.filename, { format, width, height, fps, durationSec });
+  const filename = burst
+    ? deriveFilename(body.filename, { format: 'jpg' }).replace(/\.jpg$/, '')
+    : deriveFilename(body.filename, { format, width, height, fps, durationSec });
   const model = normalizeRequestedModel(body.model);
   const modelOptions = buildHailoModelOptions(model);
-  return { format, width, height, fps, durationSec, filename, model, modelOptions };
+  const controls = parseCameraControls(body.controls);
+  return {
+    format,
+    width,
+    height,
+    fps,
+    playbackFps,
+    sensorMode,
+    durationSec,
+    filename,
+    model,
+    modelOptions,
+    controls,
+    preset,
+    burst,
+    ...codecInfo,
+  };
+}
+
+function isStillFormat(format) {
+  return STILL_FORMATS.includes(format);
+}
+
+// 슬로모션: 촬영 fps와 별개로 mp4에 기록할 재생 fps (기본값은 촬영 fps)
+function parsePlaybackFps(value, fps) {
+  const playbackFps = parsePositiveNumber(value, fps);
+  if (playbackFps > fps) {
+    throw httpError('playbackFps must not exceed fps', 400);
+  }
+  return playbackFps;
+}
+
+// rpicam --mode (예: 1332:990:10:P) 고속 촬영용 크롭 센서 모드
+function parseSensorMode(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const mode = String(value).trim();
+  if (!/^\d+:\d+(:\d+(:[PU])?)?$/.test(mode)) {
+    throw httpError('Invalid sensorMode. Use W:H[:bit-depth[:P|U]]', 400);
+  }
+  return mode;
+}
+
+// 버스트: count장(또는 durationSec 구간)을 intervalMs 간격으로 저장, 0이면 매 프레임
+function parseBurstOptions(body, fps) {
+  const intervalMs = parseNonNegativeNumber(body.intervalMs, 0);
+  const frameStepMs = intervalMs > 0 ? intervalMs : 1000 / fps;
+  const requestedWindowSec = parseNonNegativeNumber(body.durationSec, 0);
+  const count = body.count !== undefined && body.count !== null && body.count !== ''
+    ? clampInt(body.count, BURST_DEFAULT_FRAMES, 1, BURST_MAX_FRAMES)
+    : requestedWindowSec > 0
+      ? clamp(Math.floor((requestedWindowSec * 1000) / frameStepMs) + 1, 1, BURST_MAX_FRAMES)
+      : BURST_DEFAULT_FRAMES;
+  const windowSec = Number((((count - 1) * frameStepMs) / 1000).toFixed(3));
+  return { count, intervalMs, frameStepMs, windowSec: Math.max(windowSec, 1 / fps) };
 }
 
 function deriveFilename(inputName, { format, width, height, fps, durationSec }) {
@@ -1766,6 +2814,38 @@ function listCalibrationFiles() {
   }
 }
 
+// 가져온 세션은 함께 온 보정 파일, 그 외에는 현재 보정 파일
+function resolveSessionCalibrationPath(state) {
+  const importedPath = path.join(SESSION_META_DIR, `${state.jobId}.calibration.json`);
+  if (state.imported?.calibration && fs.existsSync(importedPath)) return importedPath;
+  if (CAMERA_CALIBRATION) {
+    const activePath = path.join(CALIBRATION_DIR, path.basename(CAMERA_CALIBRATION));
+    return fs.existsSync(activePath) ? activePath : null;
+  }
+  const files = listCalibrationFiles();
+  return files.length === 1 ? path.join(CALIBRATION_DIR, files[0]) : null;
+}
+
+// 세션에 쓴 AI 설정. 상태 파일 경로는 config/, 설정된 기본 파일, 가져온 사본 중 하나일 때만 내보낸다
+function resolveSessionAiConfigPath(state) {
+  const configPath = state.modelOptions?.postProcessConfig;
+  if (!configPath || typeof configPath !== 'string') return null;
+  const resolved = path.resolve(configPath);
+  const allowed = [
+    DEFAULT_AI_CONFIG,
+    SERVICE7_POSTPROCESS_CONFIG,
+    SERVICE7_DEBUG_POSTPROCESS_CONFIG,
+    aiPostprocessConfig,
+    path.join(SESSION_META_DIR, `${state.jobId}.ai-config.json`),
+  ].map((item) => path.resolve(item));
+  const inConfigDir = path.dirname(resolved) === path.resolve(AI_CONFIG_DIR);
+  if (!inConfigDir && !allowed.includes(resolved)) {
+    log('Session export skipped AI config outside known paths', state.jobId, configPath);
+    return null;
+  }
+  return fs.existsSync(resolved) ? resolved : null;
+}
+
 async function loadCalibration(name) {
   if (!name || typeof name !== 'string') {
     throw httpError('Calibration name is required', 400);
@@ -1789,12 +2869,19 @@ async function deleteSessionArtifacts(jobId) {
   let videoFile = `${jobId}.mp4`;
   let metaPath = path.join(SESSION_META_DIR, `${jobId}.meta.json`);
   let metaRawPath = `${metaPath}.raw`;
+  let segmentFiles = [];
   try {
     const raw = await fsp.readFile(statePath, 'utf8');
     const parsed = JSON.parse(raw);
     if (parsed?.videoFile) {
       videoFile = parsed.videoFile;
     }
+    if (Array.isArray(parsed?.videoSegments)) {
+      segmentFiles = parsed.videoSegments.map((segment) => segment.file).filter((file) => file !== videoFile);
+    }
+    if (Array.isArray(parsed?.unmergedSegments)) {
+      segmentFiles = [...segmentFiles, ...parsed.unmergedSegments.map((segment) => segment.file)];
+    }
     if (parsed?.metaPath) {
       metaPath = parsed.metaPath;
       metaRawPath = `${parsed.metaPath}.raw`;
@@ -1804,13 +2891,23 @@ async function deleteSessionArtifacts(jobId) {
   }
   const uploadPath = path.join(UPLOAD_DIR, videoFile);
   const uploadPartPath = `${uploadPath}.part`;
-  const deleted = { videoFile, metaPath };
+  const deleted = { videoFile, metaPath, ...(segmentFiles.length ? { segmentFiles } : {}) };
   await Promise.all([
+    ...segmentFiles.flatMap((file) => [
+      fsp.unlink(path.join(UPLOAD_DIR, path.basename(file))).catch(() => undefined),
+      fsp.unlink(`${path.join(UPLOAD_DIR, path.basename(file))}.capture.json`).catch(() => undefined),
+      thumbnails.remove(path.basename(file)),
+    ]),
     fsp.unlink(uploadPath).catch(() => undefined),
+    fsp.unlink(`${uploadPath}.capture.json`).catch(() => undefined),
     fsp.unlink(uploadPartPath).catch(() => undefined),
     fsp.unlink(metaPath).catch(() => undefined),
     fsp.unlink(metaRawPath).catch(() => undefined),
     fsp.unlink(statePath).catch(() => undefined),
+    // 가져온 세션에 딸려 온 보정/AI 설정 사본
+    fsp.unlink(path.join(SESSION_META_DIR, `${jobId}.calibration.json`)).catch(() => undefined),
+    fsp.unlink(path.join(SESSION_META_DIR, `${jobId}.ai-config.json`)).catch(() => undefined),
+    thumbnails.remove(videoFile),
   ]);
   return deleted;
 }
@@ -1859,6 +2956,14 @@ function safeManagerStatus() {
   }
 }
 
+function readAppVersion() {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(__dirname, 'package.json'), 'utf8')).version || null;
+  } catch (_) {
+    return null;
+  }
+}
+
 function parsePositiveNumber(value, fallback) {
   if (value === undefined || value === null) return fallback;
   const num = Number(value);
@@ -1897,6 +3002,7 @@ function setStreamingState(active, clients = 0) {
   streamClients = streamingActive ? Math.max(1, Number(clients) || 1) : 0;
   lastStreamStateChange = new Date().toISOString();
   log(`Streaming state -> active=${streamingActive} clients=${streamClients}`);
+  events.publish('stream.clients', { active: streamingActive, clients: streamClients });
 }
 
 // 업로드 디렉터리 보장
@@ -1904,10 +3010,23 @@ async function ensureUploadsDir() {
   await fsp.mkdir(UPLOAD_DIR, { recursive: true });
 }
 
+// 여유 공간이 부족하면 507로 응답하고 false
+async function ensureStorage(res) {
+  try {
+    await storageMonitor.assertWritable();
+    return true;
+  } catch (err) {
+    res.status(err.status || 507).json({ ok: false, error: err.message, storage: storageMonitor.getStatus() });
+    return false;
+  }
+}
+
 // 세션 디렉터리 보장
 async function ensureSessionDirs() {
   await ensureUploadsDir();
   await fsp.mkdir(SESSION_META_DIR, { recursive: true });
+  await fsp.mkdir(SESSION_STATE_DIR, { recursive: true });
+  await fsp.mkdir(path.dirname(SESSION_LOCK_FILE), { recursive: true });
 }
 
 // 세션 종료 후 메타 정규화 및 분석 트리거
@@ -1918,10 +3037,15 @@ async function finalizeSessionMeta(session) {
     await normalizeMetaFile(session.metaRawPath, session.metaPath, {
       jobId: session.jobId,
       fps: session.fps,
+      captureFps: session.fps,
+      playbackFps: session.playbackFps || session.fps,
       width: session.width,
       height: session.height,
       labelMap: metaOptions.labelMap,
       allowedLabels: metaOptions.allowedLabels,
+      pausedIntervals: session.pausedIntervals?.length ? describePausedIntervals(session) : undefined,
+      markers: session.markers,
+      videoSegments: session.videoSegments,
     });
   } catch (err) {
     log('Meta normalization failed', err.message);
@@ -1930,10 +3054,123 @@ async function finalizeSessionMeta(session) {
       jobId: session.jobId,
       filename: session.videoFile,
       metaPath: session.metaPath,
+      metadata: session.metadata,
     }).catch(() => {});
   }
 }
 
+// 일시정지 구간을 세션 시작 기준 ms로 (메타 t와 같은 기준)
+function describePausedIntervals(session) {
+  return session.pausedIntervals.map((interval) => {
+    const endAt = interval.resumedAt || session.stoppedAt;
+    return {
+      startMs: interval.pausedAt - session.startedAt,
+      endMs: endAt - session.startedAt,
+      durationMs: endAt - interval.pausedAt,
+    };
+  });
+}
+
+function sumPausedMs(session) {
+  return describePausedIntervals(session).reduce((sum, interval) => sum + interval.durationMs, 0);
+}
+
+// 시작 시 복구 대상 목록 (running 상태 파일, 업로드 .mp4.part, 정규화 안 된 raw 메타)
+async function snapshotRecoveryTargets() {
+  await ensureSessionDirs();
+  const uploadNames = await fsp.readdir(UPLOAD_DIR).catch(() => []);
+  const metaNames = await fsp.readdir(SESSION_META_DIR).catch(() => []);
+  return {
+    sessionStates: await sessionManager.findInterruptedSessions(),
+    uploadParts: uploadNames.filter((item) => item.endsWith('.mp4.part')),
+    rawMeta: metaNames.filter((item) => item.endsWith('.meta.json.raw')),
+  };
+}
+
+// 지금 기록 중인 세션/캡처/자동 녹화의 파일인지 (복구가 건드리면 안 된다)
+function isActiveOutput(filePath) {
+  const resolved = path.resolve(filePath);
+  const session = sessionManager.currentSession;
+  if (session && session.status === 'running') {
+    const livePaths = [
+      session.videoPartPath,
+      session.metaRawPath,
+      ...sessionManager.unfinishedVideoFiles(session),
+      ...session.segments.flatMap((segment) => [segment.videoPath, segment.metaRawPath]),
+    ].filter(Boolean);
+    if (livePaths.some((livePath) => path.resolve(livePath) === resolved)) return true;
+    // 조각 녹화는 <jobId>_NNN.mp4.part로 늘어난다
+    if (session.segmentSec && path.basename(resolved).startsWith(`${session.jobId}_`)) return true;
+  }
+  const base = path.basename(resolved).replace(/\.part$/, '');
+  for (const filename of activeCaptureFiles) {
+    if (base === filename || base.startsWith(`${deriveMetaBase(filename)}.meta.json`)) return true;
+  }
+  const recording = autoRecordManager ? getAutoRecordStatus().recordingFilename : null;
+  if (recording && (base === recording || base.startsWith(`${deriveMetaBase(recording)}.`))) return true;
+  return false;
+}
+
+async function recoverInterruptedWork(targets) {
+  const startedAt = Date.now();
+  const { lockReleased, sessions } = await sessionManager.recoverInterruptedSessions(targets.sessionStates);
+
+  // 상태 파일 없이 남은 업로드 조각 (세션 외 작업이거나 /tmp가 비워진 경우)
+  const uploads = [];
+  for (const name of targets.uploadParts) {
+    const partPath = path.join(UPLOAD_DIR, name);
+    const filename = name.slice(0, -'.part'.length);
+    const targetPath = path.join(UPLOAD_DIR, filename);
+    if (!fs.existsSync(partPath) || isActiveOutput(partPath)) continue;
+    if (fs.existsSync(targetPath)) {
+      uploads.push({ file: name, action: 'skipped', reason: `${filename} already exists` });
+      continue;
+    }
+    if (await sessionManager.repairVideo(partPath)) {
+      await fsp.rename(partPath, targetPath);
+      thumbnails.schedule(filename);
+      uploads.push({ file: name, action: 'repaired', filename });
+    } else {
+      await fsp.rename(partPath, brokenPath(partPath)).catch(() => {});
+      uploads.push({ file: name, action: 'failed', filename: path.basename(brokenPath(partPath)) });
+    }
+  }
+
+  const meta = [];
+  const metaOptions = getModelMetaOptions(buildHailoModelOptions());
+  for (const name of targets.rawMeta) {
+    const rawPath = path.join(SESSION_META_DIR, name);
+    const metaPath = rawPath.slice(0, -'.raw'.length);
+    if (!fs.existsSync(rawPath) || fs.existsSync(metaPath) || isActiveOutput(rawPath)) continue;
+    const jobId = name.slice(0, -'.meta.json.raw'.length);
+    try {
+      const result = await normalizeMetaFile(rawPath, metaPath, {
+        jobId,
+        labelMap: metaOptions.labelMap,
+        allowedLabels: metaOptions.allowedLabels,
+      });
+      meta.push({ jobId, action: 'normalized', metaPath, frames: result.framesCount });
+    } catch (err) {
+      meta.push({ jobId, action: 'failed', error: err.message });
+    }
+  }
+
+  lastRecoveryReport = {
+    startedAt: toIsoTime(startedAt),
+    finishedAt: toIsoTime(Date.now()),
+    lockReleased,
+    sessions,
+    uploads,
+    meta,
+  };
+  if (lockReleased || sessions.length || uploads.length || meta.length) {
+    log(
+      `Startup recovery: ${sessions.length} session(s), ${uploads.length} upload part(s), ${meta.length} raw meta file(s)`,
+    );
+  }
+  return lastRecoveryReport;
+}
+
 // 파일 기반 Hailo 추론 수행
 async function runHailoInferenceOnFile({
   format,
@@ -1942,23 +3179,53 @@ async function runHailoInferenceOnFile({
   model,
   modelOptions,
   durationSec,
+  frameCount,
+  fps,
+  signal,
+  trace,
 }) {
+  const timeoutMs = computeAnalyzeTimeout(format, durationSec);
+  if (HAILO_MOCK) {
+    // 파일 추론은 프레임 수만큼 한 번에 쓰고 끝난다 (스틸 1장, 버스트/영상은 프레임 수)
+    const mockFrames = isStillFormat(format)
+      ? 1
+      : frameCount || Math.max(1, Math.round((Number(durationSec) || 1) * (Number(fps) || DEFAULTS.fps)));
+    const mockArgs = buildMockHailoArgs({
+      ...HAILO_MOCK,
+      metaPath: metaRawPath,
+      fps: fps || DEFAULTS.fps,
+      frameCount: mockFrames,
+    });
+    logCommand(process.execPath, mockArgs);
+    const { stdout, stderr } = await runCommand(process.execPath, mockArgs, timeoutMs, { signal, trace });
+    logOutputs(stdout, stderr);
+    return;
+  }
   const gstArgs = buildGstFileArgs({
     format,
     inputPath,
+    frameCount,
+    fps,
     metaPath: metaRawPath,
     model,
     modelOptions: modelOptions || buildHailoModelOptions(model),
   });
-  const timeoutMs = computeAnalyzeTimeout(format, durationSec);
   logCommand(SESSION_GST_CMD, gstArgs);
-  const { stdout, stderr } = await runCommand(SESSION_GST_CMD, gstArgs, timeoutMs);
+  const { stdout, stderr } = await runCommand(SESSION_GST_CMD, gstArgs, timeoutMs, { signal, trace });
   logOutputs(stdout, stderr);
 }
 
+// shm 라이브 추론 명령 (HAILO_MOCK이면 hailonet 파이프라인 대신 mock 프로세스)
+function buildShmInferenceCommand(options, gstCmd = SESSION_GST_CMD) {
+  if (HAILO_MOCK) {
+    return { command: process.execPath, args: buildMockHailoArgs({ ...HAILO_MOCK, ...options }) };
+  }
+  return { command: gstCmd, args: buildGstShmInferenceArgs(options) };
+}
+
 // 분석 타임아웃 계산
 function computeAnalyzeTimeout(format, durationSec) {
-  if (format === 'jpg') return 5000;
+  if (isStillFormat(format)) return 5000;
   const durationMs = Math.max(1, durationSec || 0) * 1000;
   return Math.max(8000, durationMs + COMMAND_GRACE_MS + 4000);
 }
@@ -1969,12 +3236,13 @@ function deriveMetaBase(filename) {
 }
 
 // 외부 분석 서비스 호출
-async function triggerAnalyzeRequest({ jobId, filename, metaPath, force }) {
+async function triggerAnalyzeRequest({ jobId, filename, metaPath, force, metadata }) {
   if (!ANALYZE_URL) return;
   const payload = {
     jobId,
     filename,
     metaPath,
+    ...(metadata ? { metadata } : {}),
     force: Boolean(force),
     mode: 'coach_from_meta',
     source: {
@@ -2064,6 +3332,7 @@ async function tryAcquireLock(expectedMs) {
   try {
     await fsp.writeFile(LOCK_FILE, payload, { flag: 'wx' });
     busy = true;
+    events.publish('lock.acquired', { expiresAt: new Date(expiresAt).toISOString() });
     return true;
   } catch (err) {
     if (err.code === 'EEXIST') {
@@ -2079,8 +3348,13 @@ async function tryAcquireLock(expectedMs) {
 
 // 캡처 락 해제
 async function releaseLock() {
+  const wasBusy = busy;
   busy = false;
   await fsp.unlink(LOCK_FILE).catch(() => {});
+  if (wasBusy) {
+    events.publish('lock.released', { queued: captureQueue.length });
+  }
+  captureQueue.notify();
 }
 
 // 캡처/변환 타임아웃 계산
@@ -2091,15 +3365,319 @@ function computeTimeouts(format, durationSec) {
   return { captureTimeout, convertTimeout, total: captureTimeout + convertTimeout };
 }
 
-// 기본 캡처 처리 (공유 파이프라인 미사용)
-async function handleCapture(options, timeouts) {
-  await ensureUploadsDir();
-  const finalPath = path.join(UPLOAD_DIR, options.filename);
-  const tempPath = `${finalPath}.part`;
+// 캡처 요청 처리 (동기/비동기 공통)
+async function handleCaptureRequest(req, res, { analyze }) {
+  const body = req.body || {};
+  let options;
+  try {
+    options = parseCaptureOptions(body);
+  } catch (err) {
+    return res.status(err.httpStatus || 400).json({ ok: false, error: err.message });
+  }
+  if (!(await ensureStorage(res))) return;
+
+  // 버스트와 가상 카메라는 항상 공유 파이프라인을 사용한다 (미실행 시 캡처 동안만 시작)
+  const canUseSharedCapture = options.format === 'burst' || (
+    CAMERA_SOURCE.virtual && options.format !== 'dng'
+  ) || (
+    sharedPipeline.isRunning()
+    && streamingActive
+    && [...SHARED_STILL_FORMATS, 'h264', 'mp4'].includes(options.format)
+  );
+  if (options.format === 'dng' && CAMERA_SOURCE.virtual) {
+    return res.status(400).json({ ok: false, error: `dng capture needs the libcamera backend (current: ${CAMERA_SOURCE.backend})` });
+  }
+  // 공유 파이프라인(libcamerasrc/가상 소스)은 센서 모드를 고를 수 없다
+  if (options.sensorMode && canUseSharedCapture) {
+    return res.status(400).json({
+      ok: false,
+      error: CAMERA_SOURCE.virtual
+        ? `sensorMode needs the libcamera backend (current: ${CAMERA_SOURCE.backend})`
+        : 'sensorMode needs a direct rpicam capture; stop the camera pipeline first',
+    });
+  }
+  if (options.format === 'dng' && sharedPipeline.isRunning()) {
+    return res.status(409).json({ ok: false, error: 'dng capture needs rpicam-still; stop the camera pipeline first' });
+  }
+  if (options.format === 'dng' && analyze) {
+    return res.status(400).json({ ok: false, error: 'dng cannot be analyzed; capture jpg, png or webp instead' });
+  }
+  if (streamingActive && !canUseSharedCapture) {
+    return res.status(409).json({ ok: false, error: 'Camera streaming in progress' });
+  }
+  if (sharedPipeline.isRunning() && !canUseSharedCapture) {
+    return res.status(409).json({ ok: false, error: 'Camera pipeline active' });
+  }
+  // 공유 파이프라인 캡처는 실행 중인 카메라 설정을 바꿀 수 없다
+  const pipelineControls = sharedPipeline.getConfig()?.controls || null;
+  if (canUseSharedCapture && options.controls && !cameraControlsEqual(pipelineControls, options.controls)) {
+    return res.status(409).json({
+      ok: false,
+      error: 'Camera pipeline running with different controls',
+      controls: pipelineControls,
+    });
+  }
+
+  const timeouts = computeTimeouts(options.format, options.durationSec);
+  const queueRequested = body.queue === true || body.queue === 'true';
+  // 대기열이 있으면 새 요청이 먼저 락을 잡지 않도록 FIFO 순서를 지킨다
+  const acquired = captureQueue.length === 0 && (await tryAcquireLock(timeouts.total));
+  if (!acquired && !queueRequested) {
+    return res.status(409).json({ ok: false, error: 'Camera busy' });
+  }
+  if (!acquired && captureQueue.length >= captureQueue.maxLength) {
+    return res.status(409).json({ ok: false, error: 'Capture queue full', queue: captureQueue.getStatus() });
+  }
+  const queueRequest = {
+    label: `${analyze ? 'capture-and-analyze' : 'capture'}:${options.format}`,
+    expectedMs: timeouts.total,
+    maxWaitMs: parsePositiveNumber(body.maxWaitSec, CAPTURE_QUEUE_MAX_WAIT_SEC) * 1000,
+  };
+
+  const flowOptions = {
+    canUseSharedCapture,
+    analyze,
+    force: Boolean(body.force),
+    request: body,
+    requestedAt: Date.now(),
+  };
+  if (body.async === true || body.async === 'true') {
+    const queuePosition = acquired ? null : captureQueue.length + 1;
+    const job = captureJobs.create({
+      kind: analyze ? 'capture-and-analyze' : 'capture',
+      format: options.format,
+      durationSec: options.durationSec,
+      run: async (control) => {
+        let held = acquired;
+        try {
+          if (!held) {
+            await captureQueue.enqueue({ ...queueRequest, id: control.captureId, signal: control.signal });
+            held = true;
+          }
+          return await runCaptureFlow(options, timeouts, {
+            ...flowOptions,
+            signal: control.signal,
+            onPhase: control.setPhase,
+          });
+        } finally {
+          if (held) await releaseLock();
+        }
+      },
+    });
+    return res.status(202).json({
+      ok: true,
+      captureId: job.captureId,
+      statusUrl: `/api/camera/capture/${job.captureId}`,
+      ...job,
+      queuePosition,
+    });
+  }
+
+  let queue = null;
+  if (!acquired) {
+    const position = captureQueue.length + 1;
+    const controller = new AbortController();
+    const onClientClose = () => {
+      if (!res.writableEnded) controller.abort();
+    };
+    res.on('close', onClientClose);
+    try {
+      const { waitedMs } = await captureQueue.enqueue({
+        ...queueRequest,
+        id: buildJobId('queue'),
+        signal: controller.signal,
+      });
+      queue = { position, waitedMs };
+    } catch (err) {
+      return res.status(err.status || 409).json({ ok: false, error: err.message });
+    } finally {
+      res.off('close', onClientClose);
+    }
+    if (controller.signal.aborted) {
+      await releaseLock();
+      return;
+    }
+  }
+
+  try {
+    const result = await runCaptureFlow(options, timeouts, flowOptions);
+    res.json({ ok: true, ...result, ...(queue ? { queue } : {}) });
+  } catch (err) {
+    const status = err.httpStatus || (err.code === 'TIMEOUT' ? 504 : 500);
+    res.status(status).json({ ok: false, error: err.message });
+  } finally {
+    await releaseLock();
+  }
+}
+
+// 캡처 → (선택) Hailo 메타 생성 → 분석 트리거
+async function runCaptureFlow(options, timeouts, flowOptions) {
+  const { canUseSharedCapture, analyze, force, signal } = flowOptions;
+  const onPhase = flowOptions.onPhase || (() => {});
+  const trace = [];
+  const captureOptions = { ...options, signal, onPhase, trace };
+  const startedAt = Date.now();
+  const captureEvent = { filename: options.filename, format: options.format, analyze: Boolean(analyze) };
+  events.publish('capture.started', captureEvent);
+  activeCaptureFiles.add(options.filename);
+  try {
+    onPhase('capturing', timeouts.captureTimeout);
+    const filename = canUseSharedCapture
+      ? await handleSharedCapture(captureOptions, timeouts)
+      : await handleCapture(captureOptions, timeouts);
+    throwIfCancelled(signal, 'capture');
+    const capturedAt = Date.now();
+    lastCaptureAt = new Date(capturedAt).toISOString();
+    lastCaptureControls = canUseSharedCapture
+      ? sharedPipeline.getConfig()?.controls || options.controls || null
+      : options.controls || null;
+    lastError = null;
+    const sidecar = {
+      source: canUseSharedCapture ? 'shared-pipeline' : 'rpicam',
+      request: flowOptions.request,
+      preset: options.preset,
+      format: options.format,
+      width: options.width,
+      height: options.height,
+      fps: options.fps,
+      playbackFps: options.playbackFps,
+      sensorMode: options.sensorMode || undefined,
+      durationSec: options.durationSec,
+      burst: options.burst || undefined,
+      controls: lastCaptureControls,
+      codec: options.format === 'mp4' ? captureOptions.codec : undefined,
+      codecFallback: captureOptions.codecFallback || undefined,
+      encoder: canUseSharedCapture && ['h264', 'mp4'].includes(options.format)
+        ? captureOptions.encoder || SESSION_RECORD_ENCODER
+        : null,
+      commands: trace.slice(),
+      timings: {
+        requestedAt: toIsoTime(flowOptions.requestedAt),
+        startedAt: toIsoTime(startedAt),
+        finishedAt: toIsoTime(capturedAt),
+        queuedMs: flowOptions.requestedAt ? startedAt - flowOptions.requestedAt : null,
+        captureMs: capturedAt - startedAt,
+      },
+    };
+    await writeCaptureSidecar(filename, sidecar);
+    thumbnails.schedule(filename);
+    const burstManifest = options.burst ? await readBurstManifest(filename) : null;
+    const result = burstManifest
+      ? { filename, url: `/uploads/${filename}/manifest.json`, frames: burstManifest.frames.length }
+      : { filename, url: `/uploads/${filename}` };
+    if (options.format === 'mp4') {
+      result.codec = captureOptions.codec;
+      if (captureOptions.codecFallback) result.codecFallback = captureOptions.codecFallback;
+    }
+    if (!analyze) {
+      events.publish('capture.finished', { ...captureEvent, ...result, durationMs: Date.now() - startedAt });
+      return result;
+    }
 
-  if (options.format === 'mp4') {
+    const metaBase = deriveMetaBase(filename);
+    const metaPath = path.join(SESSION_META_DIR, `${metaBase}.meta.json`);
+    const metaRawPath = `${metaPath}.raw`;
+
+    await ensureSessionDirs();
+    onPhase('inferring', computeAnalyzeTimeout(options.format, options.durationSec));
+    // 버스트는 프레임 묶음 전체를 한 번의 추론 파이프라인으로 처리
+    await runHailoInferenceOnFile({
+      format: options.format,
+      inputPath: burstManifest
+        ? path.join(UPLOAD_DIR, filename, BURST_FRAME_PATTERN)
+        : path.join(UPLOAD_DIR, filename),
+      metaRawPath,
+      model: options.model,
+      modelOptions: options.modelOptions,
+      durationSec: options.durationSec,
+      frameCount: burstManifest ? burstManifest.frames.length : undefined,
+      fps: burstManifest ? burstManifest.fps : options.fps,
+      signal,
+      trace,
+    });
+    throwIfCancelled(signal, 'inference');
+    const inferredAt = Date.now();
+    onPhase('analyzing');
+    const metaOptions = getModelMetaOptions(options.modelOptions);
+    await normalizeMetaFile(metaRawPath, metaPath, {
+      jobId: metaBase,
+      fps: burstManifest ? burstManifest.fps : options.fps,
+      captureFps: options.fps,
+      playbackFps: options.playbackFps,
+      // 슬로모션 mp4는 파일 타임스탬프가 늘어나 있으므로 실제 시간으로 환산
+      timeScale: options.format === 'mp4' && isSlowMotion(options) ? options.playbackFps / options.fps : 1,
+      width: options.width,
+      height: options.height,
+      durationMs: Number(options.durationSec) > 0 ? Math.round(Number(options.durationSec) * 1000) : null,
+      frameTimes: burstManifest ? burstManifest.frames.map((frame) => frame.offsetMs) : undefined,
+      labelMap: metaOptions.labelMap,
+      allowedLabels: metaOptions.allowedLabels,
+    });
+    if (burstManifest) {
+      await writeBurstManifest(filename, { ...burstManifest, metaPath });
+    }
+    await writeCaptureSidecar(filename, {
+      ...sidecar,
+      model: describeModel(options.model, options.modelOptions),
+      metaPath,
+      commands: trace,
+      timings: {
+        ...sidecar.timings,
+        inferenceMs: inferredAt - capturedAt,
+        finishedAt: toIsoTime(Date.now()),
+      },
+    });
+
+    triggerAnalyzeRequest({
+      jobId: metaBase,
+      filename,
+      metaPath,
+      force,
+    }).catch(() => {});
+
+    events.publish('capture.finished', { ...captureEvent, ...result, metaPath, durationMs: Date.now() - startedAt });
+    return { ...result, metaPath };
+  } catch (err) {
+    lastError = err.message;
+    events.publish('capture.failed', { ...captureEvent, error: err.message, cancelled: Boolean(signal?.aborted) });
+    if (signal?.aborted) {
+      await discardCaptureOutput(options.filename);
+    }
+    throw err;
+  } finally {
+    activeCaptureFiles.delete(options.filename);
+  }
+}
+
+// 취소된 캡처 결과물 정리
+async function discardCaptureOutput(filename) {
+  const finalPath = path.join(UPLOAD_DIR, filename);
+  const metaPath = path.join(SESSION_META_DIR, `${deriveMetaBase(filename)}.meta.json`);
+  await Promise.all([
+    fsp.rm(finalPath, { recursive: true, force: true }).catch(() => undefined),
+    thumbnails.remove(filename),
+    fsp.rm(`${finalPath}.part`, { recursive: true, force: true }).catch(() => undefined),
+    fsp.unlink(`${finalPath}.capture.json`).catch(() => undefined),
+    fsp.unlink(finalPath.replace(/\.mp4$/, '.h264')).catch(() => undefined),
+    fsp.unlink(`${metaPath}.raw`).catch(() => undefined),
+    fsp.unlink(metaPath).catch(() => undefined),
+  ]);
+}
+
+// 기본 캡처 처리 (공유 파이프라인 미사용)
+async function handleCapture(options, timeouts) {
+  // 가상 카메라에는 rpicam이 없으므로 공유 파이프라인을 캡처 동안만 띄워서 찍는다
+  if (CAMERA_SOURCE.virtual) {
+    return handleSharedCapture(options, timeouts);
+  }
+  await ensureUploadsDir();
+  const finalPath = path.join(UPLOAD_DIR, options.filename);
+  const tempPath = `${finalPath}.part`;
+
+  // libav 직접 mp4는 촬영 fps로 기록되므로 슬로모션이면 h264 → remux 경로 사용
+  if (options.format === 'mp4' && !isSlowMotion(options)) {
     const directHandled = await captureMp4Direct(
-      { ...options, outputPath: tempPath },
+      { ...options, libavCodec: LIBAV_CODECS[options.codec || 'h264'], outputPath: tempPath },
       timeouts.captureTimeout,
     );
     if (directHandled) {
@@ -2107,12 +3685,44 @@ async function handleCapture(options, timeouts) {
       return options.filename;
     }
   }
+  // rpicam 원시 출력은 h264뿐이라 remux 경로에서는 h265를 쓸 수 없다
+  if (options.format === 'mp4' && options.codec === 'h265') {
+    options.codec = 'h264';
+    options.encoder = RECORD_ENCODERS.h264;
+    options.codecFallback = 'rpicam h264 capture + remux path does not support h265';
+  }
 
-  if (options.format === 'jpg') {
+  if (options.format === 'jpg' || options.format === 'png') {
     await captureStill({ ...options, outputPath: finalPath }, timeouts.captureTimeout);
     return options.filename;
   }
 
+  // rpicam-still은 webp 인코딩이 없어 무손실 png로 찍은 뒤 변환
+  if (options.format === 'webp') {
+    const tempPng = `${tempPath}.png`;
+    try {
+      await captureStill({ ...options, format: 'png', outputPath: tempPng }, timeouts.captureTimeout);
+      await convertStillToWebp(tempPng, tempPath, { signal: options.signal, trace: options.trace });
+    } finally {
+      await fsp.unlink(tempPng).catch(() => {});
+    }
+    await finalizeTempFile(tempPath, finalPath);
+    return options.filename;
+  }
+
+  // --raw는 -o 경로의 확장자를 .dng로 바꾼 파일에 센서 raw를 저장한다
+  if (options.format === 'dng') {
+    const tempJpg = `${tempPath}.jpg`;
+    const rawPath = `${tempPath}.dng`;
+    try {
+      await captureStill({ ...options, format: 'jpg', raw: true, outputPath: tempJpg }, timeouts.captureTimeout);
+      await finalizeTempFile(rawPath, finalPath);
+    } finally {
+      await Promise.all([fsp.unlink(tempJpg).catch(() => {}), fsp.unlink(rawPath).catch(() => {})]);
+    }
+    return options.filename;
+  }
+
   if (options.format === 'h264') {
     await captureVideo({ ...options, outputPath: finalPath }, timeouts.captureTimeout);
     return options.filename;
@@ -2120,7 +3730,13 @@ async function handleCapture(options, timeouts) {
 
   const tempH264 = tempPath.replace(/\.mp4\.part$/, '.h264');
   await captureVideo({ ...options, format: 'h264', outputPath: tempH264 }, timeouts.captureTimeout);
-  await remuxToMp4(tempH264, tempPath, options.fps, timeouts.convertTimeout);
+  if (options.onPhase) {
+    options.onPhase('remuxing', timeouts.convertTimeout);
+  }
+  await remuxToMp4(tempH264, tempPath, options.playbackFps || options.fps, timeouts.convertTimeout, {
+    signal: options.signal,
+    trace: options.trace,
+  });
   await finalizeTempFile(tempPath, finalPath);
   await fsp.unlink(tempH264).catch(() => {});
   return options.filename;
@@ -2129,7 +3745,9 @@ async function handleCapture(options, timeouts) {
 // 공유 파이프라인 기반 캡처 처리
 async function handleSharedCapture(options, timeouts) {
   await ensureUploadsDir();
-  const sourceConfig = sharedPipeline.getConfig();
+  const sourceConfig = sharedPipeline.getConfig() || (options.format === 'burst' || CAMERA_SOURCE.virtual
+    ? { width: options.width, height: options.height, fps: options.fps, controls: options.controls }
+    : null);
   if (!sourceConfig) {
     const err = new Error('Shared camera pipeline not ready');
     err.httpStatus = 409;
@@ -2139,18 +3757,22 @@ async function handleSharedCapture(options, timeouts) {
   const tempPath = `${finalPath}.part`;
   await sharedPipeline.retain('capture', sourceConfig);
   try {
-    if (options.format === 'jpg') {
+    if (SHARED_STILL_FORMATS.includes(options.format)) {
       await captureStillFromSharedPipeline(
         {
-          outputPath: finalPath,
+          outputPath: tempPath,
+          format: options.format,
           srcWidth: sourceConfig.width,
           srcHeight: sourceConfig.height,
           srcFps: sourceConfig.fps,
           width: options.width,
           height: options.height,
+          signal: options.signal,
+          trace: options.trace,
         },
         timeouts.captureTimeout,
       );
+      await finalizeTempFile(tempPath, finalPath);
     } else if (options.format === 'h264') {
       await captureH264FromSharedPipeline(
         {
@@ -2162,13 +3784,52 @@ async function handleSharedCapture(options, timeouts) {
           height: options.height,
           fps: options.fps,
           durationSec: options.durationSec,
+          signal: options.signal,
+          trace: options.trace,
+        },
+        timeouts.captureTimeout,
+      );
+    } else if (options.format === 'mp4' && isSlowMotion(options)) {
+      if (Number(sourceConfig.fps) < Number(options.fps)) {
+        throw httpError(`Shared pipeline runs at ${sourceConfig.fps}fps, slow motion needs ${options.fps}fps`, 409);
+      }
+      const tempH264 = tempPath.replace(/\.mp4\.part$/, `.${options.codec || 'h264'}`);
+      await captureH264FromSharedPipeline(
+        {
+          outputPath: tempH264,
+          encoder: options.encoder,
+          codec: options.codec,
+          srcWidth: sourceConfig.width,
+          srcHeight: sourceConfig.height,
+          srcFps: sourceConfig.fps,
+          width: options.width,
+          height: options.height,
+          fps: options.fps,
+          durationSec: options.durationSec,
+          signal: options.signal,
+          trace: options.trace,
         },
         timeouts.captureTimeout,
       );
+      if (options.onPhase) {
+        options.onPhase('remuxing', timeouts.convertTimeout);
+      }
+      try {
+        await remuxToMp4(tempH264, tempPath, options.playbackFps, timeouts.convertTimeout, {
+          signal: options.signal,
+          trace: options.trace,
+          codec: options.codec,
+        });
+      } finally {
+        await fsp.unlink(tempH264).catch(() => {});
+      }
+      await finalizeTempFile(tempPath, finalPath);
     } else if (options.format === 'mp4') {
       await captureMp4FromSharedPipeline(
         {
           outputPath: tempPath,
+          encoder: options.encoder,
+          codec: options.codec,
           srcWidth: sourceConfig.width,
           srcHeight: sourceConfig.height,
           srcFps: sourceConfig.fps,
@@ -2176,10 +3837,27 @@ async function handleSharedCapture(options, timeouts) {
           height: options.height,
           fps: options.fps,
           durationSec: options.durationSec,
+          signal: options.signal,
+          trace: options.trace,
         },
         timeouts.captureTimeout,
       );
       await finalizeTempFile(tempPath, finalPath);
+    } else if (options.format === 'burst') {
+      await captureBurstFromSharedPipeline(
+        {
+          outputDir: finalPath,
+          srcWidth: sourceConfig.width,
+          srcHeight: sourceConfig.height,
+          srcFps: sourceConfig.fps,
+          width: options.width,
+          height: options.height,
+          burst: options.burst,
+          signal: options.signal,
+          trace: options.trace,
+        },
+        timeouts.captureTimeout,
+      );
     } else {
       const err = new Error(`Unsupported format for shared capture: ${options.format}`);
       err.httpStatus = 400;
@@ -2191,27 +3869,150 @@ async function handleSharedCapture(options, timeouts) {
   }
 }
 
+// 타임랩스 1회 캡처: 락/대기열을 존중하고, 공유 파이프라인이 돌고 있으면 retain 해서 캡처
+async function captureTimelapseFrame({ dirName, frameName, captureOptions, signal }) {
+  if (captureQueue.length > 0) {
+    return { skipped: 'queue' };
+  }
+  if (!(await storageMonitor.hasSpace())) {
+    return { skipped: 'storage' };
+  }
+  const timeouts = computeTimeouts(captureOptions.format, captureOptions.durationSec);
+  if (!(await tryAcquireLock(timeouts.total))) {
+    return { skipped: 'busy' };
+  }
+  try {
+    const useShared = sharedPipeline.isRunning() || CAMERA_SOURCE.virtual;
+    // 센서 모드는 rpicam 직접 캡처에서만 적용되므로 파이프라인이 떠 있는 동안은 건너뛴다
+    if (useShared && captureOptions.sensorMode) {
+      return { skipped: 'sensor-mode' };
+    }
+    const options = { ...captureOptions, filename: path.join(dirName, frameName), signal };
+    if (useShared) {
+      await handleSharedCapture(options, timeouts);
+    } else {
+      await handleCapture(options, timeouts);
+    }
+    lastCaptureAt = new Date().toISOString();
+    return { skipped: null, source: useShared ? 'shared-pipeline' : 'rpicam' };
+  } finally {
+    await releaseLock();
+  }
+}
+
+// 캡처 정보 사이드카 기록 (<filename>.capture.json, .part → rename)
+async function writeCaptureSidecar(filename, details) {
+  const sidecarPath = path.join(UPLOAD_DIR, `${filename}.capture.json`);
+  // 다시 쓰는 동안 붙은 마커가 사라지지 않도록 기존 마커는 유지한다
+  const markers = details.markers || (await readCaptureSidecar(filename))?.markers;
+  const payload = {
+    version: CAPTURE_SIDECAR_VERSION,
+    filename,
+    capturedAt: new Date().toISOString(),
+    ...details,
+    ...(markers?.length ? { markers } : {}),
+    host: HOST_INFO,
+  };
+  try {
+    await fsp.writeFile(`${sidecarPath}.part`, JSON.stringify(payload, null, 2));
+    await fsp.rename(`${sidecarPath}.part`, sidecarPath);
+  } catch (err) {
+    await fsp.unlink(`${sidecarPath}.part`).catch(() => undefined);
+    log('Capture sidecar write failed', filename, err.message);
+  }
+}
+
+// 업로드 마커는 캡처 사이드카에 두고, 같은 이름(세션은 상태 파일의 metaPath)의 정규화 메타가 있으면 함께 반영
+async function appendUploadMarker(filename, marker, metaPath = null) {
+  const sidecarPath = path.join(UPLOAD_DIR, `${filename}.capture.json`);
+  let markers = await appendMarkerToFile(sidecarPath, marker);
+  if (!markers && fs.existsSync(path.join(UPLOAD_DIR, filename))) {
+    markers = [marker];
+    await fsp.writeFile(`${sidecarPath}.part`, JSON.stringify({ version: CAPTURE_SIDECAR_VERSION, filename, markers }, null, 2));
+    await fsp.rename(`${sidecarPath}.part`, sidecarPath);
+  }
+  const metaMarkers = await appendMarkerToFile(
+    metaPath || path.join(SESSION_META_DIR, `${deriveMetaBase(filename)}.meta.json`),
+    marker,
+  );
+  return markers || metaMarkers || [marker];
+}
+
+// 세션 사이드카의 metadata만 교체 (사이드카가 없으면 건너뛴다)
+async function updateSidecarMetadata(filename, metadata) {
+  const sidecar = await readCaptureSidecar(filename);
+  if (!sidecar) return;
+  const sidecarPath = path.join(UPLOAD_DIR, `${filename}.capture.json`);
+  await fsp.writeFile(`${sidecarPath}.part`, JSON.stringify({ ...sidecar, metadata }, null, 2));
+  await fsp.rename(`${sidecarPath}.part`, sidecarPath);
+}
+
+async function readCaptureSidecar(filename) {
+  try {
+    return JSON.parse(await fsp.readFile(path.join(UPLOAD_DIR, `${filename}.capture.json`), 'utf8'));
+  } catch (_) {
+    return null;
+  }
+}
+
+// 사이드카에 남길 모델/후처리 설정 요약
+function describeModel(model, modelOptions) {
+  const resolved = modelOptions || buildHailoModelOptions(model);
+  return {
+    name: resolved.model || model || HAILO_MODEL_NAME,
+    mock: HAILO_MOCK ? { script: HAILO_MOCK.script, replay: HAILO_MOCK.replay } : undefined,
+    hefPath: resolved.hefPath || null,
+    postProcessLib: resolved.postProcessLib || null,
+    postProcessFunc: resolved.postProcessFunc || null,
+    postProcessConfig: resolved.postProcessConfig || null,
+    inferenceWidth: resolved.inferenceWidth || null,
+    inferenceHeight: resolved.inferenceHeight || null,
+  };
+}
+
+function toIsoTime(ms) {
+  return ms ? new Date(ms).toISOString() : null;
+}
+
 // 임시 파일 확정
 async function finalizeTempFile(tempPath, finalPath) {
   if (tempPath === finalPath) return;
   await fsp.rename(tempPath, finalPath);
 }
 
-// rpicam-still 기반 사진 캡처
-async function captureStill({ width, height, durationSec, outputPath }, timeoutMs) {
+// rpicam-still 기반 사진 캡처 (raw=true면 -o 옆에 .dng도 저장)
+async function captureStill(
+  { format, raw, width, height, durationSec, outputPath, controls, signal, trace },
+  timeoutMs,
+) {
   const timeout = Math.max(500, durationSec * 1000);
-  const args = ['-o', outputPath, '--width', String(width), '--height', String(height), '-t', String(timeout), '-n'];
-  const { stdout, stderr } = await runCameraCommand(STILL_COMMANDS, args, timeoutMs);
+  const args = [
+    '-o',
+    outputPath,
+    '--encoding',
+    format === 'png' ? 'png' : 'jpg',
+    '--width',
+    String(width),
+    '--height',
+    String(height),
+    '-t',
+    String(timeout),
+    '-n',
+    ...(raw ? ['--raw'] : []),
+    ...buildRpicamControlArgs(controls),
+  ];
+  const { stdout, stderr } = await runCameraCommand(STILL_COMMANDS, args, timeoutMs, { signal, trace });
   logOutputs(stdout, stderr);
 }
 
 // 공유 파이프라인에서 1프레임 캡처
 async function captureStillFromSharedPipeline(
-  { outputPath, srcWidth, srcHeight, srcFps, width, height },
+  { outputPath, format, srcWidth, srcHeight, srcFps, width, height, signal, trace },
   timeoutMs,
 ) {
   const gstArgs = buildGstShmStillArgs({
     socketPath: SHARED_PIPELINE_SOCKET_PREVIEW,
+    format,
     srcWidth,
     srcHeight,
     srcFps,
@@ -2220,13 +4021,77 @@ async function captureStillFromSharedPipeline(
     outputPath,
   });
   logCommand(SESSION_GST_CMD, gstArgs);
-  const { stdout, stderr } = await runCommand(SESSION_GST_CMD, gstArgs, timeoutMs);
+  const { stdout, stderr } = await runCommand(SESSION_GST_CMD, gstArgs, timeoutMs, { signal, trace });
+  logOutputs(stdout, stderr);
+}
+
+// 공유 파이프라인에서 버스트 캡처 (<dir>.part/ 에 기록 후 manifest와 함께 <dir>/ 로 확정)
+async function captureBurstFromSharedPipeline(
+  { outputDir, srcWidth, srcHeight, srcFps, width, height, burst, signal, trace },
+  timeoutMs,
+) {
+  const tempDir = `${outputDir}.part`;
+  await fsp.rm(tempDir, { recursive: true, force: true });
+  await fsp.mkdir(tempDir, { recursive: true });
+  const gstArgs = buildGstShmBurstArgs({
+    socketPath: SHARED_PIPELINE_SOCKET_PREVIEW,
+    srcWidth,
+    srcHeight,
+    srcFps,
+    width,
+    height,
+    count: burst.count,
+    intervalMs: burst.intervalMs,
+    locationPattern: path.join(tempDir, BURST_FRAME_PATTERN),
+  });
+  logCommand(SESSION_GST_CMD, gstArgs);
+  const { stdout, stderr } = await runCommand(SESSION_GST_CMD, gstArgs, timeoutMs, { signal, trace });
   logOutputs(stdout, stderr);
+
+  const files = (await fsp.readdir(tempDir)).filter((name) => /^frame_\d+\.jpg$/.test(name)).sort();
+  if (!files.length) {
+    throw httpError('Burst capture produced no frames', 500);
+  }
+  const frameStepMs = burst.intervalMs > 0 ? burst.intervalMs : 1000 / srcFps;
+  const dirName = path.basename(outputDir);
+  const manifest = {
+    filename: dirName,
+    createdAt: new Date().toISOString(),
+    count: files.length,
+    requestedCount: burst.count,
+    intervalMs: burst.intervalMs,
+    fps: Number((1000 / frameStepMs).toFixed(3)),
+    sourceFps: srcFps,
+    width: width || srcWidth,
+    height: height || srcHeight,
+    // 오프셋은 요청 간격 기준 명목값
+    frames: files.map((name, index) => ({
+      index,
+      file: name,
+      url: `/uploads/${encodeURIComponent(dirName)}/${name}`,
+      offsetMs: Math.round(index * frameStepMs),
+    })),
+    metaPath: null,
+  };
+  await fsp.writeFile(path.join(tempDir, 'manifest.json'), JSON.stringify(manifest, null, 2));
+  await fsp.rm(outputDir, { recursive: true, force: true });
+  await fsp.rename(tempDir, outputDir);
+}
+
+async function readBurstManifest(dirName) {
+  const raw = await fsp.readFile(path.join(UPLOAD_DIR, dirName, 'manifest.json'), 'utf8');
+  return JSON.parse(raw);
+}
+
+async function writeBurstManifest(dirName, manifest) {
+  const manifestPath = path.join(UPLOAD_DIR, dirName, 'manifest.json');
+  await fsp.writeFile(`${manifestPath}.part`, JSON.stringify(manifest, null, 2));
+  await fsp.rename(`${manifestPath}.part`, manifestPath);
 }
 
 // 공유 파이프라인에서 h264 캡처
 async function captureH264FromSharedPipeline(
-  { outputPath, srcWidth, srcHeight, srcFps, width, height, fps, durationSec },
+  { outputPath, encoder, codec, srcWidth, srcHeight, srcFps, width, height, fps, durationSec, signal, trace },
   timeoutMs,
 ) {
   const gstArgs = buildGstShmH264Args({
@@ -2239,16 +4104,17 @@ async function captureH264FromSharedPipeline(
     fps,
     durationSec,
     outputPath,
-    encoder: SESSION_RECORD_ENCODER,
+    encoder: encoder || SESSION_RECORD_ENCODER,
+    codec,
   });
   logCommand(SESSION_GST_CMD, gstArgs);
-  const { stdout, stderr } = await runCommand(SESSION_GST_CMD, gstArgs, timeoutMs);
+  const { stdout, stderr } = await runCommand(SESSION_GST_CMD, gstArgs, timeoutMs, { signal, trace });
   logOutputs(stdout, stderr);
 }
 
 // 공유 파이프라인에서 mp4 캡처
 async function captureMp4FromSharedPipeline(
-  { outputPath, srcWidth, srcHeight, srcFps, width, height, fps, durationSec },
+  { outputPath, encoder, codec, srcWidth, srcHeight, srcFps, width, height, fps, durationSec, signal, trace },
   timeoutMs,
 ) {
   const gstArgs = buildGstShmMp4Args({
@@ -2261,15 +4127,19 @@ async function captureMp4FromSharedPipeline(
     fps,
     durationSec,
     outputPath,
-    encoder: SESSION_RECORD_ENCODER,
+    encoder: encoder || SESSION_RECORD_ENCODER,
+    codec,
   });
   logCommand(SESSION_GST_CMD, gstArgs);
-  const { stdout, stderr } = await runCommand(SESSION_GST_CMD, gstArgs, timeoutMs);
+  const { stdout, stderr } = await runCommand(SESSION_GST_CMD, gstArgs, timeoutMs, { signal, trace });
   logOutputs(stdout, stderr);
 }
 
 // rpicam-vid 기반 h264 캡처
-async function captureVideo({ width, height, durationSec, fps, outputPath }, timeoutMs) {
+async function captureVideo(
+  { width, height, durationSec, fps, sensorMode, outputPath, controls, signal, trace },
+  timeoutMs,
+) {
   const duration = Math.max(1, durationSec) * 1000;
   const args = [
     '--codec',
@@ -2285,14 +4155,19 @@ async function captureVideo({ width, height, durationSec, fps, outputPath }, tim
     '-o',
     outputPath,
     '-n',
+    ...(sensorMode ? ['--mode', sensorMode] : []),
+    ...buildRpicamControlArgs(controls),
   ];
   args.push('--inline');
-  const { stdout, stderr } = await runCameraCommand(VIDEO_COMMANDS, args, timeoutMs);
+  const { stdout, stderr } = await runCameraCommand(VIDEO_COMMANDS, args, timeoutMs, { signal, trace });
   logOutputs(stdout, stderr);
 }
 
 // rpicam-vid libav mp4 캡처 (가능한 경우)
-async function captureMp4Direct({ width, height, durationSec, fps, outputPath }, timeoutMs) {
+async function captureMp4Direct(
+  { width, height, durationSec, fps, sensorMode, libavCodec, outputPath, controls, signal, trace },
+  timeoutMs,
+) {
   const rpicamCommands = VIDEO_COMMANDS.filter((cmd) => cmd.includes('rpicam'));
   if (!rpicamCommands.length) return false;
   const duration = Math.max(1, durationSec) * 1000;
@@ -2302,7 +4177,7 @@ async function captureMp4Direct({ width, height, durationSec, fps, outputPath },
     '--libav-format',
     'mp4',
     '--libav-video-codec',
-    process.env.LIBAV_VIDEO_CODEC || 'libx264',
+    libavCodec || LIBAV_CODECS.h264,
     '-t',
     String(duration),
     '--width',
@@ -2314,47 +4189,138 @@ async function captureMp4Direct({ width, height, durationSec, fps, outputPath },
     '-o',
     outputPath,
     '-n',
+    ...(sensorMode ? ['--mode', sensorMode] : []),
+    ...buildRpicamControlArgs(controls),
   ];
-  const { stdout, stderr } = await runCameraCommand(rpicamCommands, args, timeoutMs);
+  const { stdout, stderr } = await runCameraCommand(rpicamCommands, args, timeoutMs, { signal, trace });
   logOutputs(stdout, stderr);
   return true;
 }
 
+// png → 무손실 webp 변환
+async function convertStillToWebp(inputPath, outputPath, { signal, trace } = {}) {
+  const args = ['-y', '-i', inputPath, '-c:v', 'libwebp', '-lossless', '1', '-f', 'webp', outputPath];
+  logCommand('ffmpeg', args);
+  const { stdout, stderr } = await runCommand('ffmpeg', args, 15000, { signal, trace });
+  logOutputs(stdout, stderr);
+}
+
 // h264 → mp4 리먹스
-async function remuxToMp4(inputPath, outputPath, fps, timeoutMs) {
+async function remuxToMp4(inputPath, outputPath, fps, timeoutMs, { signal, trace, codec } = {}) {
   const args = [
     '-y',
     '-fflags',
     '+genpts',
     '-f',
-    'h264',
+    codec === 'h265' ? 'hevc' : 'h264',
     '-framerate',
     String(fps),
     '-i',
     inputPath,
     '-c',
     'copy',
+    '-video_track_timescale',
+    String(Math.round(fps * 1000)),
     '-movflags',
     '+faststart',
+    '-f',
+    'mp4',
     outputPath,
   ];
   logCommand('ffmpeg', args);
-  const { stdout, stderr } = await runCommand('ffmpeg', args, timeoutMs);
+  const { stdout, stderr } = await runCommand('ffmpeg', args, timeoutMs, { signal, trace });
   logOutputs(stdout, stderr);
 }
 
+// mp4 재생 fps 변경 (h264 스트림 복사 후 playbackFps로 다시 mux → 슬로모션)
+async function retimeMp4(inputPath, outputPath, playbackFps, timeoutMs, { signal, codec } = {}) {
+  const hevc = codec === 'h265';
+  const tempH264 = `${outputPath}.${hevc ? 'h265' : 'h264'}`;
+  const args = [
+    '-y',
+    '-i',
+    inputPath,
+    '-map',
+    '0:v:0',
+    '-c:v',
+    'copy',
+    '-bsf:v',
+    hevc ? 'hevc_mp4toannexb' : 'h264_mp4toannexb',
+    '-f',
+    hevc ? 'hevc' : 'h264',
+    tempH264,
+  ];
+  try {
+    logCommand('ffmpeg', args);
+    const { stdout, stderr } = await runCommand('ffmpeg', args, timeoutMs, { signal });
+    logOutputs(stdout, stderr);
+    await remuxToMp4(tempH264, outputPath, playbackFps, timeoutMs, { signal, codec });
+  } finally {
+    await fsp.unlink(tempH264).catch(() => undefined);
+  }
+}
 
-// 외부 명령 실행 (타임아웃 포함)
-async function runCommand(command, args, timeoutMs) {
+// 세션 녹화본을 .part 상태에서 슬로모션 재생 fps로 변환 (실패 시 원본 유지)
+async function retimeSessionVideo(session) {
+  if (!isSlowMotion(session)) return;
+  const retimedPath = `${session.videoPartPath}.retime`;
+  try {
+    const timeoutMs = Math.max(30000, (Date.now() - session.startedAt) * 2);
+    await retimeMp4(session.videoPartPath, retimedPath, session.playbackFps, timeoutMs, { codec: session.codec });
+    await fsp.rename(retimedPath, session.videoPartPath);
+  } catch (err) {
+    await fsp.unlink(retimedPath).catch(() => undefined);
+    log('Session slow-motion retime failed', session.jobId, err.message);
+  }
+}
+
+function isSlowMotion({ fps, playbackFps }) {
+  return Boolean(playbackFps) && Number(playbackFps) !== Number(fps);
+}
+
+// 외부 명령 실행 (타임아웃/취소 포함, trace 배열이 있으면 실행 기록을 남긴다)
+async function runCommand(command, args, timeoutMs, { signal, trace } = {}) {
   return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(buildCancelledError(command));
+      return;
+    }
+    const startedMs = Date.now();
+    const entry = trace
+      ? { command, args: [...args], startedAt: new Date(startedMs).toISOString(), durationMs: null, result: null }
+      : null;
+    if (entry) trace.push(entry);
+    const traceEnd = (result) => {
+      if (!entry) return;
+      entry.durationMs = Date.now() - startedMs;
+      entry.result = result;
+    };
     const child = spawn(command, args, { stdio: ['ignore', 'pipe', 'pipe'] });
     let stdout = '';
     let stderr = '';
     let settled = false;
 
+    // 취소는 자식이 실제로 끝난 뒤(close)에 reject한다. 먼저 reject하면 호출 쪽 정리가 아직 쓰는 중인 파일과 경합한다
+    let aborted = false;
+    let abortKillTimer = null;
+    const onAbort = () => {
+      if (settled || aborted) return;
+      aborted = true;
+      traceEnd('cancelled');
+      clearTimeout(killTimer);
+      child.kill('SIGTERM');
+      abortKillTimer = setTimeout(() => child.kill('SIGKILL'), 1500);
+    };
+    const detachAbort = () => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+    };
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
     const killTimer = setTimeout(() => {
-      if (settled) return;
+      if (settled || aborted) return;
       settled = true;
+      traceEnd('timeout');
+      detachAbort();
       child.kill('SIGTERM');
       setTimeout(() => child.kill('SIGKILL'), 1500);
       const err = new Error(`Command timed out after ${timeoutMs}ms: ${command}`);
@@ -2373,18 +4339,32 @@ async function runCommand(command, args, timeoutMs) {
       if (settled) return;
       settled = true;
       clearTimeout(killTimer);
+      clearTimeout(abortKillTimer);
+      detachAbort();
+      if (aborted) {
+        reject(buildCancelledError(command));
+        return;
+      }
+      traceEnd(err.code === 'ENOENT' ? 'not-found' : 'error');
       err.httpStatus = 500;
       reject(err);
     });
 
-    child.on('close', (code, signal) => {
+    child.on('close', (code, exitSignal) => {
       if (settled) return;
       settled = true;
       clearTimeout(killTimer);
+      clearTimeout(abortKillTimer);
+      detachAbort();
+      if (aborted) {
+        reject(buildCancelledError(command));
+        return;
+      }
+      traceEnd(code === 0 ? 'ok' : `exit ${code}`);
       if (code === 0) {
         resolve({ stdout, stderr });
       } else {
-        const err = new Error(`Command failed (${command}) with exit ${code}${signal ? ` signal ${signal}` : ''}`);
+        const err = new Error(`Command failed (${command}) with exit ${code}${exitSignal ? ` signal ${exitSignal}` : ''}`);
         err.httpStatus = 500;
         err.stdout = stdout;
         err.stderr = stderr;
@@ -2407,12 +4387,25 @@ function truncate(text, limit = MAX_STDIO_LOG) {
   return text.length > limit ? `${text.slice(0, limit)}... [truncated]` : text;
 }
 
-async function runCameraCommand(commands, args, timeoutMs) {
+function buildCancelledError(command) {
+  const err = new Error(`Command cancelled: ${command}`);
+  err.code = 'CANCELLED';
+  err.httpStatus = 409;
+  return err;
+}
+
+function throwIfCancelled(signal, label) {
+  if (signal?.aborted) {
+    throw buildCancelledError(label);
+  }
+}
+
+async function runCameraCommand(commands, args, timeoutMs, runOptions = {}) {
   let lastErr = null;
   for (const command of commands) {
     try {
       logCommand(command, args);
-      return await runCommand(command, args, timeoutMs);
+      return await runCommand(command, args, timeoutMs, runOptions);
     } catch (err) {
       if (err.code === 'ENOENT') {
         lastErr = err;
@@ -2428,6 +4421,7 @@ async function runCameraCommand(commands, args, timeoutMs) {
 }
 
 async function detectCamera() {
+  if (CAMERA_SOURCE.virtual) return true;
   const checks = [
     ...HELLO_COMMANDS.map((cmd) => [cmd, ['--list-cameras']]),
     ...STILL_COMMANDS.map((cmd) => [cmd, ['--list-cameras']]),
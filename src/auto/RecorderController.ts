@@ -1,7 +1,12 @@
 import { ChildProcess, spawn } from 'child_process';
 import { promises as fsp } from 'fs';
 import path from 'path';
-import { RecorderAdapter, RecorderControllerOptions } from './types';
+import {
+  RecorderAdapter,
+  RecorderControllerOptions,
+  RecorderEncodingOptions,
+  RecordingFinalizedInfo,
+} from './types';
 // eslint-disable-next-line @typescript-eslint/no-var-requires
 const { buildGstShmRecordArgs } = require('../session/gstPipeline');
 
@@ -13,7 +18,14 @@ const createError = (message: string, status = 500) => {
 
 export class RecorderController implements RecorderAdapter {
   private process: ChildProcess | null = null;
-  private currentFile: { filename: string; tempPath: string; finalPath: string } | null = null;
+  private currentFile: {
+    filename: string;
+    tempPath: string;
+    finalPath: string;
+    command: string;
+    args: string[];
+    startedAt: number;
+  } | null = null;
   private lockHeld = false;
   private stopping = false;
   private options: RecorderControllerOptions;
@@ -26,10 +38,35 @@ export class RecorderController implements RecorderAdapter {
     return Boolean(this.process);
   }
 
+  // 다음 녹화부터 적용할 코덱/인코더 (녹화 중에는 변경 불가)
+  configureEncoding(encoding: RecorderEncodingOptions) {
+    if (this.process) {
+      throw createError('Cannot change codec while recording', 409);
+    }
+    this.options = {
+      ...this.options,
+      codec: encoding.codec,
+      encoder: encoding.encoder ?? this.options.encoder,
+      libavCodec: encoding.libavCodec ?? this.options.libavCodec,
+    };
+  }
+
+  getEncoding(): RecorderEncodingOptions {
+    return {
+      codec: this.options.codec || 'h264',
+      encoder: this.options.encoder,
+      libavCodec: this.options.libavCodec,
+    };
+  }
+
   async startRecording() {
     if (this.process) {
       throw createError('Recording already in progress', 409);
     }
+    // 여유 공간이 부족하면 락을 잡기 전에 거부한다
+    if (this.options.checkStorage) {
+      await this.options.checkStorage();
+    }
     const expectedMs = this.options.lockTimeoutMs ?? 10 * 60 * 1000;
     const acquired = await this.options.acquireLock(expectedMs);
     if (!acquired) {
@@ -71,7 +108,14 @@ export class RecorderController implements RecorderAdapter {
       this.log('Recorder process error', err.message);
     });
     this.process = child;
-    this.currentFile = { filename, finalPath, tempPath };
+    this.currentFile = {
+      filename,
+      finalPath,
+      tempPath,
+      command: child.spawnfile,
+      args: child.spawnargs.slice(1),
+      startedAt: Date.now(),
+    };
     return { filename };
   }
 
@@ -100,8 +144,23 @@ export class RecorderController implements RecorderAdapter {
       child.once('close', onClose);
       child.once('error', (err) => reject(err));
     });
-    const { filename } = this.currentFile;
+    const { filename, command, args, startedAt } = this.currentFile;
     await this.finalizeFile();
+    if (this.options.onRecordingFinalized) {
+      const mode = this.options.mode || 'camera';
+      const info: RecordingFinalizedInfo = {
+        mode,
+        codec: this.options.codec || 'h264',
+        encoder: mode === 'shm' ? this.options.encoder || null : this.options.libavCodec || 'libx264',
+        command,
+        args,
+        startedAt,
+        stoppedAt: Date.now(),
+      };
+      Promise.resolve(this.options.onRecordingFinalized(filename, info)).catch((err) =>
+        this.log('onRecordingFinalized failed', err)
+      );
+    }
     return { filename };
   }
 
@@ -157,6 +216,7 @@ export class RecorderController implements RecorderAdapter {
       fps: srcFps,
       outputPath,
       encoder: this.options.encoder,
+      codec: this.options.codec,
     });
   }
 
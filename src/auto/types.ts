@@ -59,6 +59,24 @@ export interface DetectorAdapter {
   getLatestFrame(): Promise<AutoRecordFrame | null>;
 }
 
+export type RecordCodec = 'h264' | 'h265';
+
+export interface RecorderEncodingOptions {
+  codec: RecordCodec;
+  encoder?: string;
+  libavCodec?: string;
+}
+
+export interface RecordingFinalizedInfo {
+  mode: 'camera' | 'shm';
+  codec: RecordCodec;
+  encoder: string | null;
+  command: string;
+  args: string[];
+  startedAt: number;
+  stoppedAt: number;
+}
+
 export interface RecorderControllerOptions {
   uploadDir: string;
   width: number;
@@ -71,12 +89,15 @@ export interface RecorderControllerOptions {
   sourceHeight?: number;
   sourceFps?: number;
   encoder?: string;
+  codec?: RecordCodec;
   onRecordingStart?: () => void | Promise<void>;
   onRecordingStop?: () => void | Promise<void>;
+  onRecordingFinalized?: (filename: string, info: RecordingFinalizedInfo) => void | Promise<void>;
   videoCommands: string[];
   acquireLock: (expectedMs: number) => Promise<boolean>;
   releaseLock: () => Promise<void>;
   ensureUploadsDir: () => Promise<void>;
+  checkStorage?: () => Promise<void>;
   buildFilename: () => string;
   libavCodec?: string;
   lockTimeoutMs?: number;
@@ -0,0 +1,164 @@
+const PHASE_PROGRESS = {
+  queued: [0, 0],
+  capturing: [0.05, 0.6],
+  remuxing: [0.6, 0.7],
+  inferring: [0.7, 0.9],
+  analyzing: [0.9, 0.98],
+};
+
+const FINISHED_STATUSES = new Set(['done', 'failed', 'cancelled']);
+
+const createError = (message, status = 500) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+class CaptureJobManager {
+  constructor(options = {}) {
+    this.maxJobs = options.maxJobs || 50;
+    this.retentionMs = options.retentionMs || 30 * 60 * 1000;
+    this.buildId = options.buildId || (() => `capture_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`);
+    this.queuePosition = options.queuePosition || null;
+    // 취소 직전에 끝나 버린 실행의 결과물을 치우는 콜백 (result) => Promise
+    this.discardResult = options.discardResult || (async () => {});
+    this.logger = options.logger || (() => {});
+    this.jobs = new Map();
+  }
+
+  create({ kind, format, durationSec, run }) {
+    this.prune();
+    const captureId = this.buildId();
+    const job = {
+      captureId,
+      kind,
+      format,
+      durationSec,
+      status: 'running',
+      phase: 'queued',
+      phaseStartedAt: Date.now(),
+      phaseExpectedMs: 0,
+      createdAt: Date.now(),
+      finishedAt: null,
+      filename: null,
+      url: null,
+      metaPath: null,
+      error: null,
+      abortController: new AbortController(),
+    };
+    this.jobs.set(captureId, job);
+
+    const control = {
+      captureId,
+      signal: job.abortController.signal,
+      setPhase: (phase, expectedMs = 0) => this.setPhase(job, phase, expectedMs),
+    };
+    job.settled = Promise.resolve()
+      .then(() => run(control))
+      .then(async (result) => {
+        // 취소가 결과 반환과 겹치면 이미 만들어진 결과물을 지우고 취소로 끝낸다
+        if (job.abortController.signal.aborted) {
+          await this.discardResult(result).catch((err) => this.logger(`Capture ${captureId} discard failed: ${err.message}`));
+          this.finish(job, 'cancelled');
+          return;
+        }
+        job.filename = result?.filename || null;
+        job.url = result?.url || null;
+        job.metaPath = result?.metaPath || null;
+        this.finish(job, 'done');
+      })
+      .catch((err) => {
+        if (job.abortController.signal.aborted) {
+          this.finish(job, 'cancelled');
+          return;
+        }
+        job.error = err.message || 'Capture failed';
+        this.finish(job, 'failed');
+      });
+    return this.serialize(job);
+  }
+
+  get(captureId) {
+    const job = this.jobs.get(captureId);
+    return job ? this.serialize(job) : null;
+  }
+
+  // 실행이 실제로 끝날 때까지(자식 프로세스 종료·결과물 정리 포함) 기다린 뒤 최종 상태를 돌려준다
+  async cancel(captureId) {
+    const job = this.jobs.get(captureId);
+    if (!job) {
+      throw createError('Capture not found', 404);
+    }
+    if (FINISHED_STATUSES.has(job.status)) {
+      throw createError(`Capture already ${job.status}`, 409);
+    }
+    this.logger(`Cancelling capture ${captureId} (${job.phase})`);
+    job.abortController.abort();
+    await job.settled;
+    return this.serialize(job);
+  }
+
+  setPhase(job, phase, expectedMs) {
+    if (FINISHED_STATUSES.has(job.status)) return;
+    job.phase = phase;
+    job.phaseStartedAt = Date.now();
+    job.phaseExpectedMs = expectedMs || 0;
+    this.logger(`Capture ${job.captureId} phase -> ${phase}`);
+  }
+
+  finish(job, status) {
+    job.status = status;
+    job.phase = status;
+    job.finishedAt = Date.now();
+    this.logger(`Capture ${job.captureId} ${status}${job.error ? `: ${job.error}` : ''}`);
+  }
+
+  computeProgress(job) {
+    if (job.status === 'done') return 1;
+    const range = PHASE_PROGRESS[job.phase];
+    if (!range) return 0;
+    const [start, end] = range;
+    if (!job.phaseExpectedMs) return start;
+    const ratio = Math.min(1, (Date.now() - job.phaseStartedAt) / job.phaseExpectedMs);
+    return Number((start + (end - start) * ratio).toFixed(3));
+  }
+
+  serialize(job) {
+    return {
+      captureId: job.captureId,
+      kind: job.kind,
+      format: job.format,
+      durationSec: job.durationSec,
+      status: job.status,
+      phase: job.phase,
+      progress: this.computeProgress(job),
+      queuePosition: job.phase === 'queued' && this.queuePosition ? this.queuePosition(job.captureId) : null,
+      createdAt: job.createdAt,
+      finishedAt: job.finishedAt,
+      filename: job.filename,
+      url: job.url,
+      metaPath: job.metaPath,
+      error: job.error,
+    };
+  }
+
+  prune() {
+    const now = Date.now();
+    for (const [captureId, job] of this.jobs.entries()) {
+      if (FINISHED_STATUSES.has(job.status) && now - job.finishedAt > this.retentionMs) {
+        this.jobs.delete(captureId);
+      }
+    }
+    if (this.jobs.size < this.maxJobs) return;
+    const finished = [...this.jobs.values()]
+      .filter((job) => FINISHED_STATUSES.has(job.status))
+      .sort((a, b) => a.finishedAt - b.finishedAt);
+    while (this.jobs.size >= this.maxJobs && finished.length) {
+      this.jobs.delete(finished.shift().captureId);
+    }
+  }
+}
+
+module.exports = {
+  CaptureJobManager,
+};
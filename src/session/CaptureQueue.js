@@ -0,0 +1,149 @@
+const createError = (message, status = 500, code) => {
+  const err = new Error(message);
+  err.status = status;
+  if (code) err.code = code;
+  return err;
+};
+
+class CaptureQueue {
+  constructor(options = {}) {
+    this.maxLength = options.maxLength || 5;
+    this.defaultMaxWaitMs = options.defaultMaxWaitMs || 60000;
+    this.maxWaitLimitMs = options.maxWaitLimitMs || 5 * 60 * 1000;
+    this.pollIntervalMs = options.pollIntervalMs || 500;
+    this.acquireLock = options.acquireLock;
+    this.releaseLock = options.releaseLock;
+    this.logger = options.logger || (() => {});
+    this.items = [];
+    this.draining = false;
+    this.pollTimer = null;
+  }
+
+  get length() {
+    return this.items.length;
+  }
+
+  enqueue({ id, label, expectedMs, maxWaitMs, signal }) {
+    if (this.items.length >= this.maxLength) {
+      return Promise.reject(createError('Capture queue full', 409, 'QUEUE_FULL'));
+    }
+    if (signal?.aborted) {
+      return Promise.reject(createError('Queued capture cancelled', 409, 'CANCELLED'));
+    }
+    const waitMs = Math.min(
+      Math.max(1000, Number(maxWaitMs) || this.defaultMaxWaitMs),
+      this.maxWaitLimitMs,
+    );
+
+    return new Promise((resolve, reject) => {
+      const item = {
+        id,
+        label: label || null,
+        expectedMs,
+        maxWaitMs: waitMs,
+        enqueuedAt: Date.now(),
+        resolve,
+        reject,
+        timer: null,
+        onAbort: null,
+      };
+      item.timer = setTimeout(() => {
+        this.remove(item, createError('Camera busy (queue wait timed out)', 409, 'QUEUE_TIMEOUT'));
+      }, waitMs);
+      if (signal) {
+        item.onAbort = () => this.remove(item, createError('Queued capture cancelled', 409, 'CANCELLED'));
+        signal.addEventListener('abort', item.onAbort, { once: true });
+        item.signal = signal;
+      }
+      this.items.push(item);
+      this.logger(`Capture queued ${id} (position ${this.items.length})`);
+      this.ensurePolling();
+      this.notify();
+    });
+  }
+
+  getPosition(id) {
+    const index = this.items.findIndex((item) => item.id === id);
+    return index === -1 ? null : index + 1;
+  }
+
+  getStatus() {
+    const now = Date.now();
+    return {
+      length: this.items.length,
+      maxLength: this.maxLength,
+      items: this.items.map((item, index) => ({
+        id: item.id,
+        label: item.label,
+        position: index + 1,
+        enqueuedAt: item.enqueuedAt,
+        waitedMs: now - item.enqueuedAt,
+        maxWaitMs: item.maxWaitMs,
+      })),
+    };
+  }
+
+  // 락이 풀렸을 수 있을 때 호출: 맨 앞 요청만 락을 시도해 FIFO 순서를 지킨다
+  async notify() {
+    if (this.draining || !this.items.length || !this.acquireLock) return;
+    this.draining = true;
+    try {
+      const head = this.items[0];
+      const acquired = await this.acquireLock(head.expectedMs);
+      if (acquired) {
+        // 락 시도 중 맨 앞 요청이 타임아웃/취소되었으면 다음 요청에 락을 넘긴다
+        const next = this.items.shift();
+        if (next) {
+          this.detach(next);
+          const waitedMs = Date.now() - next.enqueuedAt;
+          this.logger(`Capture dequeued ${next.id} after ${waitedMs}ms`);
+          next.resolve({ waitedMs });
+        } else if (this.releaseLock) {
+          await this.releaseLock();
+        }
+      }
+    } catch (err) {
+      this.logger('Capture queue lock attempt failed', err.message);
+    } finally {
+      this.draining = false;
+      if (!this.items.length) this.stopPolling();
+    }
+  }
+
+  remove(item, err) {
+    const index = this.items.indexOf(item);
+    if (index === -1) return;
+    this.items.splice(index, 1);
+    this.detach(item);
+    this.logger(`Capture removed from queue ${item.id}: ${err.message}`);
+    item.reject(err);
+    if (!this.items.length) this.stopPolling();
+  }
+
+  detach(item) {
+    clearTimeout(item.timer);
+    if (item.signal && item.onAbort) {
+      item.signal.removeEventListener('abort', item.onAbort);
+    }
+  }
+
+  ensurePolling() {
+    if (this.pollTimer) return;
+    this.pollTimer = setInterval(() => {
+      this.notify();
+    }, this.pollIntervalMs);
+    if (this.pollTimer.unref) {
+      this.pollTimer.unref();
+    }
+  }
+
+  stopPolling() {
+    if (!this.pollTimer) return;
+    clearInterval(this.pollTimer);
+    this.pollTimer = null;
+  }
+}
+
+module.exports = {
+  CaptureQueue,
+};
@@ -0,0 +1,176 @@
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+const { sliceMetaFile } = require('./metaNormalizer');
+
+const TRIM_MODES = ['auto', 'copy', 'reencode'];
+// 시작 지점이 키프레임에서 이 범위 안이면 스트림 복사로 자른다
+const KEYFRAME_TOLERANCE_SEC = 0.02;
+
+const createError = (message, status = 500) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+class ClipTrimmer {
+  constructor(options = {}) {
+    this.uploadDir = options.uploadDir;
+    this.metaDir = options.metaDir;
+    this.runCommand = options.runCommand;
+    this.encoders = { h264: 'libx264', hevc: 'libx265', ...(options.encoders || {}) };
+    this.logger = options.logger || (() => {});
+  }
+
+  // mp4를 [startSec, endSec) 구간으로 잘라 새 mp4를 만들고, 메타가 있으면 같은 구간으로 자른다
+  async trim({ filename, outputName, startSec, endSec, mode = 'auto', trace }) {
+    if (!this.runCommand) {
+      throw createError('Trim not configured', 500);
+    }
+    if (!TRIM_MODES.includes(mode)) {
+      throw createError(`Invalid mode. Use ${TRIM_MODES.join(', ')}`, 400);
+    }
+    if (path.extname(filename).toLowerCase() !== '.mp4') {
+      throw createError('Only mp4 uploads can be trimmed', 400);
+    }
+    const inputPath = path.join(this.uploadDir, filename);
+    if (!fs.existsSync(inputPath)) {
+      throw createError('File not found', 404);
+    }
+    const outputPath = path.join(this.uploadDir, outputName);
+    if (outputPath === inputPath) {
+      throw createError('Output filename must differ from the source', 400);
+    }
+    if (fs.existsSync(outputPath)) {
+      throw createError(`File already exists: ${outputName}`, 409);
+    }
+
+    const probe = await this.probe(inputPath, trace);
+    const start = Number(startSec);
+    const end = Math.min(Number(endSec), probe.durationSec);
+    if (!Number.isFinite(start) || start < 0 || !Number.isFinite(end) || end <= start) {
+      throw createError(`startSec/endSec must satisfy 0 <= startSec < endSec <= ${probe.durationSec}`, 400);
+    }
+
+    const onKeyframe = probe.keyframes.some((time) => Math.abs(time - start) <= KEYFRAME_TOLERANCE_SEC);
+    if (mode === 'copy' && !onKeyframe) {
+      throw createError('startSec is not on a keyframe; use mode "auto" or "reencode"', 409);
+    }
+    const copy = mode === 'copy' || (mode === 'auto' && onKeyframe);
+    const tempPath = `${outputPath}.part`;
+    const args = [
+      '-y',
+      '-ss',
+      start.toFixed(3),
+      '-i',
+      inputPath,
+      '-t',
+      (end - start).toFixed(3),
+      '-map',
+      '0:v:0',
+      ...(copy
+        ? ['-c', 'copy', '-avoid_negative_ts', 'make_zero']
+        : ['-c:v', this.encoders[probe.codec] || this.encoders.h264, '-pix_fmt', 'yuv420p']),
+      '-movflags',
+      '+faststart',
+      '-f',
+      'mp4',
+      tempPath,
+    ];
+    const timeoutMs = Math.max(15000, (end - start) * (copy ? 2000 : 20000));
+    try {
+      await this.runCommand('ffmpeg', args, timeoutMs, { trace });
+      await fsp.rename(tempPath, outputPath);
+    } catch (err) {
+      await fsp.unlink(tempPath).catch(() => undefined);
+      throw err;
+    }
+
+    const meta = await this.trimMeta(filename, outputName, start, end);
+    return {
+      filename: outputName,
+      source: filename,
+      mode: copy ? 'copy' : 'reencode',
+      codec: probe.codec,
+      startSec: start,
+      endSec: end,
+      durationSec: Number((end - start).toFixed(3)),
+      metaPath: meta ? meta.metaPath : null,
+      metaFrames: meta ? meta.framesCount : null,
+    };
+  }
+
+  // 원본 메타(<base>.meta.json)가 있으면 같은 구간을 잘라 <새 base>.meta.json으로 저장
+  async trimMeta(filename, outputName, startSec, endSec) {
+    const sourceMeta = path.join(this.metaDir, `${baseName(filename)}.meta.json`);
+    if (!fs.existsSync(sourceMeta)) return null;
+    const metaPath = path.join(this.metaDir, `${baseName(outputName)}.meta.json`);
+    try {
+      const result = await sliceMetaFile(sourceMeta, metaPath, {
+        jobId: baseName(outputName),
+        startMs: startSec * 1000,
+        endMs: endSec * 1000,
+      });
+      return { metaPath, ...result };
+    } catch (err) {
+      this.logger('Trim meta slice failed', filename, err.message);
+      return null;
+    }
+  }
+
+  async probe(inputPath, trace) {
+    const { stdout: streamOut } = await this.runCommand(
+      'ffprobe',
+      [
+        '-v',
+        'error',
+        '-select_streams',
+        'v:0',
+        '-show_entries',
+        'stream=codec_name:format=duration',
+        '-of',
+        'json',
+        inputPath,
+      ],
+      10000,
+      { trace },
+    );
+    const info = JSON.parse(streamOut || '{}');
+    const durationSec = Number(info.format?.duration);
+    if (!Number.isFinite(durationSec) || durationSec <= 0) {
+      throw createError('Could not read clip duration', 422);
+    }
+    const { stdout: keyOut } = await this.runCommand(
+      'ffprobe',
+      [
+        '-v',
+        'error',
+        '-select_streams',
+        'v:0',
+        '-skip_frame',
+        'nokey',
+        '-show_entries',
+        'frame=pts_time',
+        '-of',
+        'csv=p=0',
+        inputPath,
+      ],
+      Math.max(10000, durationSec * 2000),
+      { trace },
+    );
+    const keyframes = String(keyOut || '')
+      .split('\n')
+      .map((line) => Number(line.trim()))
+      .filter(Number.isFinite);
+    return { codec: info.streams?.[0]?.codec_name || 'h264', durationSec, keyframes };
+  }
+}
+
+function baseName(filename) {
+  return path.basename(filename).replace(/\.[^.]+$/, '');
+}
+
+module.exports = {
+  ClipTrimmer,
+  TRIM_MODES,
+};
@@ -0,0 +1,101 @@
+// SSE 이벤트 허브
+// - 이벤트마다 1씩 증가하는 id를 붙이고 최근 bufferSize개를 보관해 Last-Event-ID 재전송에 쓴다
+// - 타입은 `session.stopped`처럼 `<분류>.<상태>` 형태이고, 구독 시 분류 접두어로 거를 수 있다
+class EventHub {
+  constructor(options = {}) {
+    this.bufferSize = options.bufferSize || 500;
+    this.heartbeatMs = options.heartbeatMs || 15000;
+    this.logger = options.logger || (() => {});
+    this.lastId = 0;
+    this.buffer = [];
+    this.clients = new Set();
+    this.heartbeat = null;
+  }
+
+  publish(type, data = {}) {
+    this.lastId += 1;
+    const event = { id: this.lastId, type, at: new Date().toISOString(), data };
+    this.buffer.push(event);
+    if (this.buffer.length > this.bufferSize) {
+      this.buffer.shift();
+    }
+    for (const client of this.clients) {
+      if (matchesTypes(client.types, type)) {
+        writeEvent(client.res, event);
+      }
+    }
+    return event;
+  }
+
+  // 요청을 SSE 연결로 바꾼다. lastEventId 이후 보관 중인 이벤트를 먼저 보낸다
+  subscribe(req, res, { lastEventId = null, types = [] } = {}) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.write('retry: 3000\n\n');
+
+    const client = { res, types };
+    const since = lastEventId === null || lastEventId === '' ? NaN : Number(lastEventId);
+    if (Number.isInteger(since) && since >= 0) {
+      // 서버 재시작으로 id가 처음부터 다시 매겨졌으면 보관 중인 이벤트를 모두 보낸다
+      const from = since > this.lastId ? 0 : since;
+      this.buffer
+        .filter((event) => event.id > from && matchesTypes(types, event.type))
+        .forEach((event) => writeEvent(res, event));
+    }
+
+    this.clients.add(client);
+    this.startHeartbeat();
+    req.on('close', () => {
+      this.clients.delete(client);
+      if (!this.clients.size) {
+        this.stopHeartbeat();
+      }
+    });
+    return client;
+  }
+
+  getStatus() {
+    return {
+      clients: this.clients.size,
+      lastEventId: this.lastId,
+      buffered: this.buffer.length,
+    };
+  }
+
+  // 프록시가 유휴 연결을 끊지 않도록 주석 줄을 보낸다
+  startHeartbeat() {
+    if (this.heartbeat) return;
+    this.heartbeat = setInterval(() => {
+      for (const client of this.clients) {
+        client.res.write(': ping\n\n');
+      }
+    }, this.heartbeatMs);
+    if (this.heartbeat.unref) {
+      this.heartbeat.unref();
+    }
+  }
+
+  stopHeartbeat() {
+    if (this.heartbeat) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
+    }
+  }
+}
+
+function matchesTypes(types, type) {
+  if (!types || !types.length) return true;
+  return types.some((prefix) => type === prefix || type.startsWith(`${prefix}.`));
+}
+
+function writeEvent(res, event) {
+  res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+}
+
+module.exports = {
+  EventHub,
+};
@@ -0,0 +1,311 @@
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+const { spawn } = require('child_process');
+
+const MAX_STDIO_LOG = 4000;
+const SEGMENT_PREFIX = 'preroll_';
+const SEGMENT_EXT = '.ts';
+
+const createError = (message, status = 500) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+class PreRollBuffer {
+  constructor(options = {}) {
+    this.gstCmd = options.gstCmd || 'gst-launch-1.0';
+    this.pipeline = options.pipeline || null;
+    this.socketPath = options.socketPath || '/tmp/hailo_camera_record.shm';
+    this.bufferDir = options.bufferDir || '/tmp/hailo_camera_preroll';
+    this.bufferSec = Math.max(2, Number(options.bufferSec) || 10);
+    this.segmentSec = Math.max(0.5, Number(options.segmentSec) || 1);
+    this.maxBytes = Number(options.maxBytes) || 256 * 1024 * 1024;
+    this.encoder = options.encoder || 'openh264enc';
+    this.buildArgs = options.buildArgs;
+    this.runCommand = options.runCommand;
+    this.logger = options.logger || (() => {});
+    this.proc = null;
+    this.sourceConfig = null;
+    this.recorderCommand = null;
+    this.startedAt = null;
+    this.lastError = null;
+    this.retained = false;
+    this.stopping = false;
+    this.saveCounter = 0;
+  }
+
+  isRunning() {
+    return Boolean(this.proc && this.proc.exitCode === null);
+  }
+
+  getMaxFiles() {
+    // 기록 중인 세그먼트 1개 + 여유 1개
+    return Math.ceil(this.bufferSec / this.segmentSec) + 2;
+  }
+
+  async start(sourceConfig) {
+    if (this.isRunning()) {
+      throw createError('Pre-roll buffer already running', 409);
+    }
+    if (!this.buildArgs) {
+      throw createError('Pre-roll builder not configured', 500);
+    }
+    if (!sourceConfig) {
+      throw createError('Pre-roll source config is required', 500);
+    }
+    await this.resetBufferDir();
+    if (this.pipeline) {
+      await this.pipeline.retain('preroll', sourceConfig);
+      this.retained = true;
+    }
+
+    try {
+      const args = this.buildArgs({
+        socketPath: this.socketPath,
+        width: sourceConfig.width,
+        height: sourceConfig.height,
+        fps: sourceConfig.fps,
+        locationPattern: path.join(this.bufferDir, `${SEGMENT_PREFIX}%05d${SEGMENT_EXT}`),
+        segmentSec: this.segmentSec,
+        maxFiles: this.getMaxFiles(),
+        encoder: this.encoder,
+      });
+      this.logger(`Starting pre-roll buffer: ${this.gstCmd} ${args.join(' ')}`);
+      const child = spawn(this.gstCmd, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+      child.stdout.on('data', (data) => {
+        this.logger(`preroll stdout: ${this.truncate(data.toString())}`);
+      });
+      child.stderr.on('data', (data) => {
+        this.logger(`preroll stderr: ${this.truncate(data.toString())}`);
+      });
+      child.on('error', (err) => {
+        this.lastError = err.message;
+        this.logger('preroll spawn error:', err.message);
+      });
+      child.on('close', (code, signal) => {
+        this.logger('preroll exited', code, signal || '');
+        // SIGKILL로 넘어간 경우 close는 stop()이 돌아간 뒤에 오므로 stopping은 여기서 내린다
+        const stopping = this.stopping;
+        this.stopping = false;
+        if (!stopping && code !== 0) {
+          this.lastError = `Pre-roll recorder exited with code ${code}${signal ? ` (${signal})` : ''}`;
+        }
+        // stop() 뒤에 다시 시작했으면 새 프로세스/파이프라인 참조는 건드리지 않는다
+        if (this.proc === child) {
+          this.proc = null;
+          this.releasePipeline();
+        }
+      });
+      this.proc = child;
+      this.sourceConfig = { ...sourceConfig };
+      this.recorderCommand = { command: this.gstCmd, args };
+      this.startedAt = Date.now();
+      this.lastError = null;
+    } catch (err) {
+      this.releasePipeline();
+      throw err;
+    }
+    return this.getStatus();
+  }
+
+  async stop() {
+    const child = this.proc;
+    if (child && child.exitCode === null) {
+      this.stopping = true;
+      await new Promise((resolve) => {
+        const timer = setTimeout(() => {
+          if (child.exitCode === null) {
+            this.logger('preroll escalating to SIGKILL');
+            child.kill('SIGKILL');
+          }
+          resolve();
+        }, 5000);
+        child.once('close', () => {
+          clearTimeout(timer);
+          resolve();
+        });
+        child.kill('SIGINT');
+      });
+    }
+    this.proc = null;
+    this.startedAt = null;
+    this.releasePipeline();
+    return this.getStatus();
+  }
+
+  releasePipeline() {
+    if (this.retained && this.pipeline) {
+      this.pipeline.release('preroll');
+    }
+    this.retained = false;
+  }
+
+  async getStatus() {
+    const segments = await this.listSegments();
+    const completed = segments.slice(0, -1);
+    const bytes = segments.reduce((sum, seg) => sum + seg.size, 0);
+    return {
+      running: this.isRunning(),
+      startedAt: this.startedAt,
+      bufferSec: this.bufferSec,
+      segmentSec: this.segmentSec,
+      bufferedSec: Math.min(this.bufferSec, completed.length * this.segmentSec),
+      segments: segments.length,
+      bytes,
+      maxBytes: this.maxBytes,
+      sourceConfig: this.sourceConfig,
+      lastError: this.lastError,
+    };
+  }
+
+  async save({ beforeSec, afterSec = 0, outputPath, trace }) {
+    if (!this.isRunning()) {
+      throw createError('Pre-roll buffer not running', 409);
+    }
+    if (!this.runCommand) {
+      throw createError('Pre-roll save not configured', 500);
+    }
+    const before = Math.min(Math.max(0, Number(beforeSec) || 0), this.bufferSec);
+    const after = Math.max(0, Number(afterSec) || 0);
+    if (before + after <= 0) {
+      throw createError('beforeSec or afterSec must be greater than 0', 400);
+    }
+
+    const requestedAt = Date.now();
+    const windowStart = requestedAt - before * 1000;
+    const windowEnd = requestedAt + after * 1000;
+    const segmentMs = this.segmentSec * 1000;
+    const stagingDir = path.join(this.bufferDir, `save_${requestedAt}_${++this.saveCounter}`);
+    await fsp.mkdir(stagingDir, { recursive: true });
+
+    try {
+      // 1차: 요청 시점에 이미 완료된 세그먼트를 링에서 밀려나기 전에 복사
+      const staged = await this.stageSegments(stagingDir, [], (seg) => seg.mtimeMs > windowStart);
+
+      // 2차: 요청 이후 구간은 세그먼트가 닫힐 때마다 복사한다
+      // 끝까지 기다렸다 한 번에 복사하면 afterSec가 링 길이보다 길 때 앞쪽 세그먼트가 이미 덮어써져 구멍이 생긴다
+      const waitUntil = windowEnd + segmentMs + 500;
+      const inAfterWindow = (seg) => seg.mtimeMs > requestedAt && seg.mtimeMs - segmentMs < windowEnd;
+      while (Date.now() < waitUntil) {
+        await sleep(Math.min(segmentMs, waitUntil - Date.now()));
+        await this.stageSegments(stagingDir, staged, inAfterWindow);
+      }
+
+      if (!staged.length) {
+        throw createError('Pre-roll buffer has no recorded segments yet', 409);
+      }
+
+      const firstStart = staged[0].mtimeMs - segmentMs;
+      const offsetSec = Math.max(0, (windowStart - firstStart) / 1000);
+      const listPath = path.join(stagingDir, 'concat.txt');
+      await fsp.writeFile(
+        listPath,
+        staged.map((seg) => `file '${seg.stagedPath.replace(/'/g, "'\\''")}'`).join('\n'),
+      );
+      const args = [
+        '-y',
+        '-f',
+        'concat',
+        '-safe',
+        '0',
+        '-i',
+        listPath,
+        '-ss',
+        offsetSec.toFixed(3),
+        '-t',
+        (before + after).toFixed(3),
+        '-c',
+        'copy',
+        '-movflags',
+        '+faststart',
+        '-f',
+        'mp4',
+        outputPath,
+      ];
+      const timeoutMs = Math.max(10000, (before + after) * 2000);
+      await this.runCommand('ffmpeg', args, timeoutMs, { trace });
+      return {
+        requestedAt,
+        beforeSec: before,
+        afterSec: after,
+        durationSec: before + after,
+        segments: staged.length,
+      };
+    } finally {
+      await fsp.rm(stagingDir, { recursive: true, force: true }).catch(() => undefined);
+    }
+  }
+
+  async stageSegments(stagingDir, staged, predicate) {
+    const segments = await this.listSegments();
+    // 마지막 세그먼트는 아직 기록 중이므로 제외
+    const completed = segments.slice(0, -1);
+    for (const seg of completed) {
+      if (!predicate(seg)) continue;
+      if (staged.some((item) => item.name === seg.name && item.mtimeMs === seg.mtimeMs)) continue;
+      const stagedPath = path.join(stagingDir, `${String(staged.length).padStart(5, '0')}${SEGMENT_EXT}`);
+      try {
+        await fsp.copyFile(seg.path, stagedPath);
+        staged.push({ ...seg, stagedPath });
+      } catch (err) {
+        this.logger('preroll segment copy failed', seg.name, err.message);
+      }
+    }
+    return staged;
+  }
+
+  async listSegments() {
+    let entries = [];
+    try {
+      entries = await fsp.readdir(this.bufferDir, { withFileTypes: true });
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+    const segments = [];
+    for (const entry of entries) {
+      if (!entry.isFile()) continue;
+      if (!entry.name.startsWith(SEGMENT_PREFIX) || !entry.name.endsWith(SEGMENT_EXT)) continue;
+      const fullPath = path.join(this.bufferDir, entry.name);
+      try {
+        const stat = await fsp.stat(fullPath);
+        segments.push({ name: entry.name, path: fullPath, size: stat.size, mtimeMs: stat.mtimeMs });
+      } catch (_) {
+        // 링 버퍼가 순환하며 삭제한 파일
+      }
+    }
+    // splitmuxsink max-files는 인덱스를 재사용하므로 파일 이름이 아닌 mtime 순으로 정렬
+    segments.sort((a, b) => a.mtimeMs - b.mtimeMs);
+    return this.enforceMaxBytes(segments);
+  }
+
+  async enforceMaxBytes(segments) {
+    let total = segments.reduce((sum, seg) => sum + seg.size, 0);
+    while (total > this.maxBytes && segments.length > 2) {
+      const oldest = segments.shift();
+      total -= oldest.size;
+      await fsp.unlink(oldest.path).catch(() => undefined);
+      this.logger('preroll pruned segment over size limit', oldest.name);
+    }
+    return segments;
+  }
+
+  async resetBufferDir() {
+    await fsp.rm(this.bufferDir, { recursive: true, force: true }).catch(() => undefined);
+    await fsp.mkdir(this.bufferDir, { recursive: true });
+  }
+
+  truncate(text) {
+    return text.length > MAX_STDIO_LOG ? `${text.slice(0, MAX_STDIO_LOG)}... [truncated]` : text;
+  }
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  PreRollBuffer,
+};
@@ -0,0 +1,164 @@
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+
+const PRESET_FIELDS = [
+  'format',
+  'width',
+  'height',
+  'fps',
+  'playbackFps',
+  'sensorMode',
+  'durationSec',
+  'segmentSec',
+  'count',
+  'intervalMs',
+  'model',
+  'controls',
+  'codec',
+];
+const NAME_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+
+const createError = (message, status = 500) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+class PresetStore {
+  constructor(options = {}) {
+    this.filePath = options.filePath;
+    this.validate = options.validate || (() => {});
+    this.logger = options.logger || (() => {});
+    this.presets = new Map();
+    this.writing = Promise.resolve();
+  }
+
+  // 서버 시작 시 1회 로드 (요청 파싱이 동기라 메모리 캐시를 기준으로 조회한다)
+  loadSync() {
+    this.presets.clear();
+    let raw;
+    try {
+      raw = fs.readFileSync(this.filePath, 'utf8');
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        this.logger('Preset load failed', err.message);
+      }
+      return;
+    }
+    try {
+      const parsed = JSON.parse(raw);
+      const items = Array.isArray(parsed?.presets) ? parsed.presets : [];
+      items.forEach((item) => {
+        if (item && NAME_PATTERN.test(item.name || '')) {
+          this.presets.set(item.name, item);
+        }
+      });
+    } catch (err) {
+      this.logger('Preset file is not valid JSON', err.message);
+    }
+  }
+
+  list() {
+    return [...this.presets.values()].sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  get(name) {
+    return this.presets.get(name) || null;
+  }
+
+  resolve(name) {
+    const preset = this.get(String(name || '').trim());
+    if (!preset) {
+      throw createError(`Preset not found: ${name}`, 404);
+    }
+    return pickFields(preset);
+  }
+
+  async create(name, params) {
+    return this.put(name, params, { createOnly: true });
+  }
+
+  // 존재 여부는 직렬화된 commit 안에서 곧 쓸 Map 기준으로 확인한다 (동시 요청이 모두 통과하지 않게)
+  async put(name, params, { createOnly = false } = {}) {
+    this.assertName(name);
+    const fields = pickFields(params || {});
+    if (!Object.keys(fields).length) {
+      throw createError(`Preset must set at least one of ${PRESET_FIELDS.join(', ')}`, 400);
+    }
+    this.validate(fields);
+    let preset = null;
+    await this.commit((presets) => {
+      if (createOnly && presets.has(name)) {
+        throw createError(`Preset already exists: ${name}`, 409);
+      }
+      const now = new Date().toISOString();
+      const existing = presets.get(name);
+      preset = {
+        name,
+        ...fields,
+        createdAt: existing?.createdAt || now,
+        updatedAt: now,
+      };
+      presets.set(name, preset);
+    });
+    return preset;
+  }
+
+  async remove(name) {
+    await this.commit((presets) => {
+      if (!presets.has(name)) {
+        throw createError(`Preset not found: ${name}`, 404);
+      }
+      presets.delete(name);
+    });
+  }
+
+  assertName(name) {
+    if (!NAME_PATTERN.test(String(name || ''))) {
+      throw createError('Invalid preset name (A-Z, a-z, 0-9, ".", "_", "-", max 64)', 400);
+    }
+  }
+
+  // 동시 요청이 파일을 덮어쓰지 않도록 쓰기를 직렬화하고 .part → rename 으로 확정
+  // 변경은 사본에 적용해 파일 쓰기가 성공한 뒤에만 메모리 캐시와 바꾼다 (실패하면 캐시와 파일이 그대로 일치)
+  commit(mutate) {
+    this.writing = this.writing
+      .catch(() => undefined)
+      .then(async () => {
+        const next = new Map(this.presets);
+        mutate(next);
+        await this.persist(next);
+        this.presets = next;
+      });
+    return this.writing;
+  }
+
+  async persist(presets) {
+    const items = [...presets.values()].sort((a, b) => a.name.localeCompare(b.name));
+    await fsp.mkdir(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.part`;
+    try {
+      await fsp.writeFile(tempPath, JSON.stringify({ presets: items }, null, 2));
+      await fsp.rename(tempPath, this.filePath);
+    } catch (err) {
+      await fsp.unlink(tempPath).catch(() => undefined);
+      throw err;
+    }
+  }
+}
+
+function pickFields(source) {
+  const fields = {};
+  PRESET_FIELDS.forEach((key) => {
+    if (source[key] !== undefined && source[key] !== null && source[key] !== '') {
+      fields[key] = source[key];
+    }
+  });
+  return fields;
+}
+
+module.exports = {
+  PresetStore,
+  PRESET_FIELDS,
+};
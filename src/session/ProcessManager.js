@@ -2,8 +2,13 @@ const fs = require('fs');
 const fsp = fs.promises;
 const path = require('path');
 const { spawn } = require('child_process');
+const { mergeMetaSegments } = require('./metaNormalizer');
+const { createMarker, sortMarkers } = require('./markers');
+const { parseSessionMetadata } = require('./sessionMetadata');
 
 const MAX_STDIO_LOG = 4000;
+// 재부팅 뒤 같은 PID가 다른 프로세스에 재사용되어도 락을 stale로 판정할 수 있게 락에 부팅 id를 남긴다
+const BOOT_ID = readBootId();
 
 const createError = (message, status = 500) => {
   const err = new Error(message);
@@ -18,12 +23,16 @@ class ProcessManager {
     this.stateDir = options.stateDir || '/tmp';
     this.lockFile = options.lockFile || '/tmp/session.lock';
     this.gstLaunchCmd = options.gstLaunchCmd || 'gst-launch-1.0';
+    this.inferenceCmd = options.inferenceCmd || this.gstLaunchCmd;
     this.libavCodec = options.libavCodec || 'libx264';
     this.logger = options.logger || (() => {});
     this.buildGstArgs = options.buildGstArgs;
     this.buildRecordArgs = options.buildRecordArgs;
+    this.runCommand = options.runCommand || null;
     this.ensureUploadsDir = options.ensureUploadsDir || this.defaultEnsureUploadsDir.bind(this);
     this.onSessionFinished = options.onSessionFinished || null;
+    this.onSessionEvent = options.onSessionEvent || null;
+    this.beforeFinalizeVideo = options.beforeFinalizeVideo || null;
     this.defaultModelOptions = options.defaultModelOptions || {};
     this.pipeline = options.pipeline || null;
     this.recordSocketPath = options.recordSocketPath || options.socketPath || '/tmp/hailo_camera_record.shm';
@@ -111,9 +120,14 @@ class ProcessManager {
     const width = Number(options.width);
     const height = Number(options.height);
     const fps = Number(options.fps);
+    const playbackFps = Number(options.playbackFps) || fps;
     const durationSec = Number(options.durationSec || 0);
+    const controls = options.controls || null;
+    const codec = options.codec || 'h264';
+    const segmentSec = Number(options.segmentSec || 0);
 
-    const videoFile = `${jobId}.mp4`;
+    // 조각 녹화는 <jobId>_000.mp4부터 번호를 붙인다
+    const videoFile = segmentSec > 0 ? `${jobId}_000.mp4` : `${jobId}.mp4`;
     const videoPath = path.join(this.uploadDir, videoFile);
     const videoPartPath = `${videoPath}.part`;
     const metaPath = path.join(this.metaDir, `${jobId}.meta.json`);
@@ -136,11 +150,32 @@ class ProcessManager {
       model: options.model || modelOptions.model || null,
       modelOptions,
       durationSec,
+      width,
+      height,
+      fps,
+      playbackFps,
+      controls,
+      codec,
+      encoder: options.encoder || null,
+      codecFallback: options.codecFallback || null,
+      request: options.request || null,
+      metadata: parseSessionMetadata(options.metadata),
+      segmentSec,
+      videoSegments: [],
+      commands: [],
+      paused: false,
+      pausing: false,
+      pausedIntervals: [],
+      segments: [],
+      markers: [],
+      remainingMs: durationSec > 0 ? durationSec * 1000 : null,
       stopTimer: null,
+      stopTimerAt: null,
       record: null,
       inference: null,
       pids: {},
       stopRequested: false,
+      stopReason: null,
       exits: {},
     };
 
@@ -150,50 +185,15 @@ class ProcessManager {
     let retained = false;
     try {
       if (this.pipeline) {
-        await this.pipeline.retain('session', { width, height, fps });
+        await this.pipeline.retain('session', { width, height, fps, controls });
         retained = true;
       }
 
-      const inferenceArgs = this.buildGstArgs({
-        socketPath: this.inferenceSocketPath,
-        width,
-        height,
-        fps,
-        metaPath: metaRawPath,
-        model: options.model,
-        modelOptions,
-      });
-      const recordArgs = this.buildRecordArgs
-        ? this.buildRecordArgs({
-            socketPath: this.recordSocketPath,
-            width,
-            height,
-            fps,
-            outputPath: videoPartPath,
-          })
-        : null;
-      if (!recordArgs) {
-        throw createError('Record pipeline not configured', 500);
-      }
-
-      session.record = this.spawnProcess(this.gstLaunchCmd, recordArgs, 'record', session);
-      session.inference = this.spawnProcess(this.gstLaunchCmd, inferenceArgs, 'inference', session);
-      session.pids = {
-        record: session.record.pid,
-        inference: session.inference.pid,
-      };
-      await this.writeLock({ jobId, startedAt: session.startedAt, pids: session.pids });
+      this.spawnSegment(session);
+      await this.writeLock({ jobId, startedAt: session.startedAt, serverPid: process.pid, pids: session.pids });
       await this.writeState(session);
-      if (durationSec > 0) {
-        session.stopTimer = setTimeout(() => {
-          this.stopSession(jobId, 'duration').catch((err) => {
-            this.logger(`Failed to stop session ${jobId} after duration`, err.message);
-          });
-        }, durationSec * 1000);
-        if (session.stopTimer.unref) {
-          session.stopTimer.unref();
-        }
-      }
+      this.scheduleStop(session);
+      this.emitSessionEvent('started', session);
     } catch (err) {
       if (retained && this.pipeline) {
         this.pipeline.release('session');
@@ -213,6 +213,203 @@ class ProcessManager {
     };
   }
 
+  // 녹화/추론 프로세스 한 쌍을 새 세그먼트로 띄운다 (첫 세그먼트는 최종 경로에 바로 기록)
+  // 조각 녹화면 videoPath는 splitmuxsink 파일 패턴이고, 조각 번호는 이전 세그먼트 다음부터 이어 붙인다
+  spawnSegment(session) {
+    const index = session.segments.length;
+    const previous = session.segments[index - 1];
+    const segment = {
+      index,
+      videoPath: session.segmentSec
+        ? path.join(this.uploadDir, `${session.jobId}_%03d.mp4.part`)
+        : index === 0
+          ? session.videoPartPath
+          : `${session.videoPath}.seg${index}.part`,
+      metaRawPath: index === 0 ? session.metaRawPath : `${session.metaRawPath}.seg${index}`,
+      ...(session.segmentSec
+        ? { firstChunk: previous ? previous.firstChunk + this.runChunkIndexes(session, index - 1).length : 0 }
+        : {}),
+      startedAt: Date.now(),
+      stoppedAt: null,
+    };
+    const inferenceArgs = this.buildGstArgs({
+      socketPath: this.inferenceSocketPath,
+      width: session.width,
+      height: session.height,
+      fps: session.fps,
+      metaPath: segment.metaRawPath,
+      model: session.model,
+      modelOptions: session.modelOptions,
+    });
+    const recordArgs = this.buildRecordArgs
+      ? this.buildRecordArgs({
+          socketPath: this.recordSocketPath,
+          width: session.width,
+          height: session.height,
+          fps: session.fps,
+          outputPath: segment.videoPath,
+          encoder: session.encoder,
+          codec: session.codec,
+          segmentSec: session.segmentSec || 0,
+          startIndex: segment.firstChunk || 0,
+        })
+      : null;
+    if (!recordArgs) {
+      throw createError('Record pipeline not configured', 500);
+    }
+
+    session.segments.push(segment);
+    session.exits = {};
+    session.record = this.spawnProcess(this.gstLaunchCmd, recordArgs, 'record', session);
+    session.inference = this.spawnProcess(this.inferenceCmd, inferenceArgs, 'inference', session);
+    session.pids = {
+      record: session.record.pid,
+      inference: session.inference.pid,
+    };
+  }
+
+  // durationSec은 녹화 시간 기준이라 일시정지 동안에는 타이머를 멈춘다
+  scheduleStop(session) {
+    if (session.remainingMs === null) return;
+    session.stopTimer = setTimeout(() => {
+      this.stopSession(session.jobId, 'duration').catch((err) => {
+        this.logger(`Failed to stop session ${session.jobId} after duration`, err.message);
+      });
+    }, Math.max(0, session.remainingMs));
+    session.stopTimerAt = Date.now();
+    if (session.stopTimer.unref) {
+      session.stopTimer.unref();
+    }
+  }
+
+  clearStopTimer(session) {
+    if (!session.stopTimer) return;
+    clearTimeout(session.stopTimer);
+    session.stopTimer = null;
+    if (session.remainingMs !== null) {
+      session.remainingMs -= Date.now() - session.stopTimerAt;
+    }
+  }
+
+  // 공유 파이프라인은 유지한 채 녹화/추론 프로세스만 내려 현재 세그먼트를 닫는다
+  async pauseSession(jobId) {
+    const session = this.requireRunningSession(jobId);
+    if (session.paused) {
+      throw createError('Session already paused', 409);
+    }
+    session.paused = true;
+    // 프로세스가 내려가는 동안의 재개는 409로 막는다 (구간/세그먼트 기록 전이라 꼬인다)
+    session.pausing = true;
+    this.clearStopTimer(session);
+    const pausedAt = Date.now();
+    this.logger(`Pausing session ${jobId}`);
+    try {
+      await Promise.all([
+        this.terminateProcess(session.record, 'record', 'SIGINT'),
+        this.terminateProcess(session.inference, 'inference', 'SIGINT'),
+      ]);
+    } finally {
+      session.pausing = false;
+    }
+    if (session.status !== 'running') {
+      return session;
+    }
+    session.segments[session.segments.length - 1].stoppedAt = pausedAt;
+    session.pausedIntervals.push({ pausedAt, resumedAt: null });
+    session.pids = {};
+    await this.writeLock({ jobId, startedAt: session.startedAt, pids: session.pids, paused: true });
+    await this.writeState(session);
+    this.emitSessionEvent('paused', session);
+    return session;
+  }
+
+  async resumeSession(jobId) {
+    const session = this.requireRunningSession(jobId);
+    if (session.pausing) {
+      throw createError('Session is still pausing', 409);
+    }
+    if (!session.paused) {
+      throw createError('Session is not paused', 409);
+    }
+    this.logger(`Resuming session ${jobId}`);
+    this.spawnSegment(session);
+    session.paused = false;
+    session.pausedIntervals[session.pausedIntervals.length - 1].resumedAt = session.segments[session.segments.length - 1].startedAt;
+    this.scheduleStop(session);
+    await this.writeLock({ jobId, startedAt: session.startedAt, pids: session.pids });
+    await this.writeState(session);
+    this.emitSessionEvent('resumed', session);
+    return session;
+  }
+
+  requireRunningSession(jobId) {
+    const session = this.currentSession;
+    if (!session || session.jobId !== jobId) {
+      throw createError('Session not found', 404);
+    }
+    if (session.status !== 'running') {
+      throw createError(`Session is ${session.status}`, 409);
+    }
+    return session;
+  }
+
+  // 진행 중 세션의 라이브 메타는 현재 세그먼트 파일에 쌓인다
+  getLiveMetaPath(jobId) {
+    const session = this.currentSession;
+    if (!session || session.jobId !== jobId || session.status !== 'running') return null;
+    const segment = session.segments[session.segments.length - 1];
+    return segment ? segment.metaRawPath : null;
+  }
+
+  // 마커 시간(offsetMs)은 세션 시작 기준 벽시계 ms (일시정지 구간 포함, 메타 t와 같은 기준)
+  async addMarker(jobId, input) {
+    const session = this.currentSession && this.currentSession.jobId === jobId ? this.currentSession : null;
+    if (session) {
+      if (input.offsetMs === null && session.status !== 'running') {
+        throw createError('offsetMs is required once the session has finished', 400);
+      }
+      const offsetMs = input.offsetMs ?? Date.now() - session.startedAt;
+      const marker = createMarker({ ...input, offsetMs, at: session.startedAt + offsetMs });
+      session.markers = sortMarkers([...session.markers, marker]);
+      await this.writeState(session);
+      return { marker, markers: session.markers, videoFile: session.videoFile, metaPath: session.metaPath, running: session.status === 'running' };
+    }
+
+    const statePath = path.join(this.stateDir, `${jobId}.session.json`);
+    const state = this.readStateSync(statePath);
+    if (!state) {
+      throw createError('Session not found', 404);
+    }
+    if (input.offsetMs === null) {
+      throw createError('offsetMs is required once the session has finished', 400);
+    }
+    // 끝난 세션의 마커 시각(at)은 요청 시각이 아니라 세션 시작 + offsetMs
+    const startedAt = Number(state.startedAt);
+    const marker = createMarker(Number.isFinite(startedAt) ? { ...input, at: startedAt + input.offsetMs } : input);
+    state.markers = sortMarkers([...(state.markers || []), marker]);
+    await writeStateFile(statePath, state);
+    return { marker, markers: state.markers, videoFile: state.videoFile || null, metaPath: state.metaPath || null, running: false };
+  }
+
+  // 선수/클럽/촬영 방향 등 세션 메타데이터 수정. 준 항목만 바꾸며 끝난 세션도 상태 파일에 반영한다
+  async updateMetadata(jobId, input) {
+    const session = this.currentSession && this.currentSession.jobId === jobId ? this.currentSession : null;
+    if (session) {
+      session.metadata = parseSessionMetadata(input, session.metadata);
+      await this.writeState(session);
+      return { metadata: session.metadata, videoFile: session.videoFile, running: session.status === 'running' };
+    }
+
+    const statePath = path.join(this.stateDir, `${jobId}.session.json`);
+    const state = this.readStateSync(statePath);
+    if (!state) {
+      throw createError('Session not found', 404);
+    }
+    state.metadata = parseSessionMetadata(input, state.metadata);
+    await writeStateFile(statePath, state);
+    return { metadata: state.metadata, videoFile: state.videoFile || null, running: false };
+  }
+
   async stopSession(jobId, reason = 'user') {
     const session = this.currentSession;
     if (!session || session.jobId !== jobId) {
@@ -222,6 +419,7 @@ class ProcessManager {
       return session;
     }
     session.stopRequested = true;
+    session.stopReason = reason;
     this.logger(`Stopping session ${jobId} (${reason})`);
 
     const stopTasks = [
@@ -257,15 +455,54 @@ class ProcessManager {
       startedAt: session.startedAt,
       stoppedAt: session.stoppedAt,
       errorMessage: session.errorMessage,
+      stopReason: session.stopReason,
       pids: session.pids,
       model: session.model,
       modelOptions: session.modelOptions,
       durationSec: session.durationSec,
+      width: session.width,
+      height: session.height,
+      fps: session.fps,
+      playbackFps: session.playbackFps,
+      controls: session.controls,
+      codec: session.codec,
+      encoder: session.encoder,
+      codecFallback: session.codecFallback,
+      metadata: session.metadata,
+      paused: session.paused,
+      pausedIntervals: session.pausedIntervals,
+      pausedMs: totalPausedMs(session),
+      segmentSec: session.segmentSec,
+      videoSegments: session.videoSegments,
+      mergeError: session.mergeError || null,
+      unmergedSegments: session.unmergedSegments || [],
+      markers: session.markers,
     };
   }
 
+  // 상태 전이 알림 (SSE용). 핸들러 오류가 세션 처리를 막지 않게 한다
+  emitSessionEvent(type, session, extra = {}) {
+    if (!this.onSessionEvent) return;
+    try {
+      this.onSessionEvent(type, {
+        jobId: session.jobId,
+        status: session.status,
+        paused: session.paused,
+        startedAt: session.startedAt,
+        stoppedAt: session.stoppedAt,
+        stopReason: session.stopReason,
+        errorMessage: session.errorMessage,
+        videoFile: session.videoFile,
+        ...extra,
+      });
+    } catch (err) {
+      this.logger('Session event handler failed', err.message);
+    }
+  }
+
   spawnProcess(command, args, label, session) {
     this.logger(`Starting ${label}: ${command} ${args.join(' ')}`);
+    session.commands.push({ label, command, args: [...args], startedAt: new Date().toISOString() });
     const child = spawn(command, args, { stdio: ['ignore', 'pipe', 'pipe'] });
 
     child.stdout.on('data', (data) => {
@@ -292,6 +529,10 @@ class ProcessManager {
   }
 
   onProcessExit(session, label, code, signal) {
+    // 일시정지로 내린 프로세스는 세션 종료로 보지 않는다
+    if (session.paused && session.status === 'running') {
+      return;
+    }
     if (session.status !== 'running') {
       this.maybeFinalize(session);
       return;
@@ -397,9 +638,10 @@ class ProcessManager {
     if (session.status !== 'running') return;
     session.status = status;
     session.stoppedAt = Date.now();
-    if (session.stopTimer) {
-      clearTimeout(session.stopTimer);
-      session.stopTimer = null;
+    this.clearStopTimer(session);
+    const lastSegment = session.segments[session.segments.length - 1];
+    if (lastSegment && !lastSegment.stoppedAt) {
+      lastSegment.stoppedAt = session.stoppedAt;
     }
 
     // 상태 검증: 프로세스가 정말 종료되었는지 확인
@@ -407,6 +649,7 @@ class ProcessManager {
 
     this.writeState(session).catch(() => {});
     this.releaseLock().catch(() => {});
+    this.emitSessionEvent(status, session);
     const finalizePromise = this.finalizeVideo(session).catch((err) => {
       this.logger('Video finalize failed', err.message);
     });
@@ -415,9 +658,12 @@ class ProcessManager {
     }
     finalizePromise
       .then(async () => {
+        // 마무리에서 정해진 값(videoSegments, mergeError 등)을 상태 파일에 남긴다
+        await this.writeState(session);
         if (this.onSessionFinished) {
           await this.onSessionFinished(session);
         }
+        this.emitSessionEvent('finalized', session);
       })
       .catch((err) => {
         this.logger('Session finish handler failed', err.message);
@@ -459,10 +705,30 @@ class ProcessManager {
       startedAt: session.startedAt,
       stoppedAt: session.stoppedAt,
       errorMessage: session.errorMessage,
+      stopReason: session.stopReason,
       pids: session.pids,
       model: session.model,
       modelOptions: session.modelOptions,
       durationSec: session.durationSec,
+      width: session.width,
+      height: session.height,
+      fps: session.fps,
+      playbackFps: session.playbackFps,
+      controls: session.controls,
+      codec: session.codec,
+      encoder: session.encoder,
+      codecFallback: session.codecFallback,
+      request: session.request,
+      metadata: session.metadata,
+      paused: session.paused,
+      pausedIntervals: session.pausedIntervals,
+      pausedMs: totalPausedMs(session),
+      segments: session.segments,
+      segmentSec: session.segmentSec,
+      videoSegments: session.videoSegments,
+      mergeError: session.mergeError || null,
+      unmergedSegments: session.unmergedSegments || [],
+      markers: session.markers,
       videoFile: session.videoFile,
       videoPath: session.videoPath,
       videoPartPath: session.videoPartPath,
@@ -474,9 +740,338 @@ class ProcessManager {
 
   async finalizeVideo(session) {
     if (!session.videoPartPath || !session.videoPath) return;
+    if (session.segmentSec) {
+      await this.finalizeVideoSegments(session);
+      return;
+    }
+    if (session.segments.length > 1) {
+      try {
+        await this.mergeSegments(session);
+      } catch (err) {
+        this.logger(`Segment merge failed for ${session.jobId}`, err.message);
+        session.mergeError = err.message;
+        await this.keepUnmergedSegments(session);
+      }
+    }
+    if (this.beforeFinalizeVideo) {
+      await this.beforeFinalizeVideo(session);
+    }
     await fsp.rename(session.videoPartPath, session.videoPath);
   }
 
+  // 세그먼트를 하나의 mp4/메타로 합친다. 일시정지 구간은 타임스탬프 공백으로 남긴다
+  async mergeSegments(session) {
+    const segments = session.segments.filter((segment) => fs.existsSync(segment.videoPath));
+    const listPath = `${session.videoPath}.concat.txt`;
+    const mergedPath = `${session.videoPath}.concat.part`;
+    try {
+      // concat demuxer의 duration을 다음 세그먼트 시작까지로 잡으면 다음 파일이 그만큼 뒤에서 시작한다
+      const lines = segments.map((segment, i) => {
+        const next = segments[i + 1];
+        const entry = [`file '${segment.videoPath.replace(/'/g, "'\\''")}'`];
+        if (next) {
+          entry.push(`duration ${((next.startedAt - segment.startedAt) / 1000).toFixed(3)}`);
+        }
+        return entry.join('\n');
+      });
+      if (segments.length > 1) {
+        if (!this.runCommand) {
+          throw createError('Segment merge not configured', 500);
+        }
+        await fsp.writeFile(listPath, `ffconcat version 1.0\n${lines.join('\n')}\n`);
+        const args = ['-y', '-f', 'concat', '-safe', '0', '-i', listPath, '-c', 'copy', '-f', 'mp4', mergedPath];
+        session.commands.push({ label: 'merge', command: 'ffmpeg', args: [...args], startedAt: new Date().toISOString() });
+        const timeoutMs = Math.max(30000, (Date.now() - session.startedAt) * 2);
+        await this.runCommand('ffmpeg', args, timeoutMs);
+        await fsp.rename(mergedPath, session.videoPartPath);
+      } else if (segments.length === 1 && segments[0].videoPath !== session.videoPartPath) {
+        await fsp.rename(segments[0].videoPath, session.videoPartPath);
+      }
+      await this.mergeSessionMeta(session);
+    } finally {
+      await fsp.unlink(listPath).catch(() => {});
+      await fsp.unlink(mergedPath).catch(() => {});
+    }
+    await Promise.all(
+      session.segments.slice(1).flatMap((segment) => [
+        fsp.unlink(segment.videoPath).catch(() => {}),
+        fsp.unlink(segment.metaRawPath).catch(() => {}),
+      ]),
+    );
+  }
+
+  // 합치기에 실패하면 첫 세그먼트만 <jobId>.mp4로 확정하고 나머지는 <jobId>.segN.mp4로 남긴다
+  // offsetMs는 세션 시작 기준이라 일시정지 구간을 포함한다
+  async keepUnmergedSegments(session) {
+    session.unmergedSegments = [];
+    for (const segment of session.segments.slice(1)) {
+      if (!fs.existsSync(segment.videoPath)) continue;
+      const file = `${session.jobId}.seg${segment.index}.mp4`;
+      try {
+        await fsp.rename(segment.videoPath, path.join(this.uploadDir, file));
+        session.unmergedSegments.push({ index: segment.index, file, offsetMs: segment.startedAt - session.startedAt });
+      } catch (err) {
+        this.logger(`Failed to keep segment ${segment.index} of ${session.jobId}`, err.message);
+      }
+    }
+    await this.mergeSessionMeta(session).catch((err) => {
+      this.logger(`Meta merge failed for ${session.jobId}`, err.message);
+    });
+  }
+
+  // 조각 녹화: .part 조각의 이름을 확정하고 세션 시작 기준 오프셋을 매긴다 (조각끼리는 합치지 않는다)
+  async finalizeVideoSegments(session) {
+    if (session.segments.length > 1) {
+      await this.mergeSessionMeta(session);
+    }
+    const videoSegments = [];
+    for (let runIndex = 0; runIndex < session.segments.length; runIndex += 1) {
+      let offsetMs = session.segments[runIndex].startedAt - session.startedAt;
+      for (const index of this.runChunkIndexes(session, runIndex)) {
+        const filePath = this.chunkPath(session, index);
+        const partPath = `${filePath}.part`;
+        // 슬로모션 변환 전 길이라야 메타(실제 시간)와 같은 기준이 된다
+        const durationMs = (await this.probeDurationMs(partPath)) ?? session.segmentSec * 1000;
+        videoSegments.push({ index, file: path.basename(filePath), offsetMs, durationMs });
+        offsetMs += durationMs;
+        if (this.beforeFinalizeVideo) {
+          await this.beforeFinalizeVideo({ ...session, videoPartPath: partPath });
+        }
+        await fsp.rename(partPath, filePath);
+      }
+    }
+    session.videoSegments = videoSegments;
+  }
+
+  chunkPath(session, index) {
+    return path.join(this.uploadDir, `${session.jobId}_${String(index).padStart(3, '0')}.mp4`);
+  }
+
+  // 녹화 프로세스(세그먼트) 하나가 남긴 조각 번호들 (.part가 있는 것만)
+  runChunkIndexes(session, runIndex) {
+    const run = session.segments[runIndex];
+    const next = session.segments[runIndex + 1];
+    const indexes = [];
+    for (let index = run.firstChunk || 0; !next || index < next.firstChunk; index += 1) {
+      if (!fs.existsSync(`${this.chunkPath(session, index)}.part`)) break;
+      indexes.push(index);
+    }
+    return indexes;
+  }
+
+  async probeDurationMs(filePath) {
+    if (!this.runCommand) return null;
+    try {
+      const { stdout } = await this.runCommand(
+        'ffprobe',
+        ['-v', 'error', '-show_entries', 'format=duration', '-of', 'csv=p=0', filePath],
+        10000,
+      );
+      const durationSec = Number(String(stdout || '').trim());
+      return Number.isFinite(durationSec) && durationSec > 0 ? Math.round(durationSec * 1000) : null;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  async mergeSessionMeta(session) {
+    await mergeMetaSegments(
+      session.segments.map((segment) => ({
+        path: segment.metaRawPath,
+        offsetMs: segment.startedAt - session.startedAt,
+      })),
+      session.metaRawPath,
+    );
+  }
+
+  // 서버/Pi가 세션 도중 재시작되어 running으로 남은 세션을 interrupted로 마감한다 (서버 시작 시 1회)
+  // 상태가 running으로 남은 상태 파일 목록. 서버가 요청을 받기 전에 찍어 두고 recoverInterruptedSessions에 넘긴다
+  async findInterruptedSessions() {
+    let names = [];
+    try {
+      names = await fsp.readdir(this.stateDir);
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+    return names
+      .filter((name) => name.endsWith('.session.json'))
+      .map((name) => path.join(this.stateDir, name))
+      .filter((statePath) => this.readStateSync(statePath)?.status === 'running');
+  }
+
+  async recoverInterruptedSessions(statePaths = null) {
+    const candidates = statePaths || (await this.findInterruptedSessions());
+    const sessions = [];
+    for (const statePath of candidates) {
+      const state = this.readStateSync(statePath);
+      if (!state || state.status !== 'running') continue;
+      if (this.currentSession && this.currentSession.jobId === state.jobId) continue;
+      try {
+        sessions.push(await this.recoverSession(state, statePath));
+      } catch (err) {
+        this.logger('Session recovery failed', state.jobId, err.message);
+        sessions.push({ jobId: state.jobId, status: 'interrupted', video: 'failed', error: err.message });
+      }
+    }
+    // 남은 프로세스를 정리한 뒤라야 락이 stale로 판정된다
+    const lockReleased = await this.cleanupStaleLock();
+    return { lockReleased, sessions };
+  }
+
+  async recoverSession(state, statePath) {
+    const segments =
+      Array.isArray(state.segments) && state.segments.length
+        ? state.segments
+        : [{ index: 0, videoPath: state.videoPartPath, metaRawPath: state.metaRawPath, startedAt: state.startedAt, stoppedAt: null }];
+    const session = {
+      ...state,
+      statePath,
+      request: state.request || null,
+      metadata: parseSessionMetadata(null, state.metadata),
+      commands: [],
+      pids: state.pids || {},
+      pausedIntervals: state.pausedIntervals || [],
+      segments,
+      segmentSec: state.segmentSec || 0,
+      videoSegments: state.videoSegments || [],
+      markers: state.markers || [],
+    };
+    const lastSegment = segments[segments.length - 1];
+    const stoppedPids = await this.stopOrphanProcesses(session.pids, lastSegment);
+
+    // 마지막으로 파일이 쓰인 시각을 종료 시각으로 본다
+    const lastInterval = session.pausedIntervals[session.pausedIntervals.length - 1];
+    const videoFiles = this.unfinishedVideoFiles(session);
+    const writeTimes = await Promise.all(
+      [...videoFiles, ...segments.map((segment) => segment.metaRawPath)].map((filePath) =>
+        fsp
+          .stat(filePath)
+          .then((stat) => stat.mtimeMs)
+          .catch(() => 0),
+      ),
+    );
+    session.stoppedAt = Math.round(Math.max(session.startedAt, lastInterval?.pausedAt || 0, ...writeTimes));
+    session.status = 'interrupted';
+    session.paused = false;
+    session.errorMessage = 'Server restarted while the session was running';
+    if (lastSegment && !lastSegment.stoppedAt) {
+      lastSegment.stoppedAt = session.stoppedAt;
+    }
+    if (lastInterval && !lastInterval.resumedAt) {
+      lastInterval.resumedAt = session.stoppedAt;
+    }
+
+    const metaFound = segments.some((segment) => fs.existsSync(segment.metaRawPath));
+    let video = 'missing';
+    if (fs.existsSync(session.videoPath) && !fs.existsSync(session.videoPartPath)) {
+      video = 'complete';
+    } else {
+      let repaired = 0;
+      let failed = 0;
+      for (const filePath of videoFiles) {
+        if (await this.repairVideo(filePath)) {
+          repaired += 1;
+        } else {
+          // 복구 못 한 조각은 병합에서 빼고 .broken으로 남겨 둔다
+          failed += 1;
+          await fsp.rename(filePath, brokenPath(filePath)).catch(() => {});
+        }
+      }
+      // 조각 녹화는 앞 조각들이 이미 닫혀 있으므로 마지막 조각 복구와 상관없이 확정한다
+      const hasVideo = session.segmentSec
+        ? session.segments.some((_segment, runIndex) => this.runChunkIndexes(session, runIndex).length)
+        : repaired > 0;
+      if (hasVideo) {
+        await this.finalizeVideo(session);
+        video = failed ? 'partial' : 'repaired';
+      } else {
+        if (segments.length > 1) {
+          await this.mergeSessionMeta(session);
+        }
+        video = failed ? 'failed' : 'missing';
+      }
+    }
+
+    await this.writeState(session);
+    if (this.onSessionFinished) {
+      await this.onSessionFinished(session);
+    }
+    this.emitSessionEvent('interrupted', session, { video });
+    this.logger(`Recovered interrupted session ${session.jobId} (video: ${video})`);
+    return {
+      jobId: session.jobId,
+      status: session.status,
+      startedAt: session.startedAt,
+      stoppedAt: session.stoppedAt,
+      videoFile: fs.existsSync(session.videoPath) ? session.videoFile : null,
+      video,
+      meta: metaFound ? 'normalized' : 'missing',
+      segments: segments.length,
+      videoSegments: session.segmentSec ? session.videoSegments.length : undefined,
+      stoppedPids,
+    };
+  }
+
+  // 강제 종료로 moov가 없을 수 있는 녹화 파일들
+  // 조각 녹화는 세그먼트마다 마지막 조각만 열려 있었다 (이전 조각은 splitmuxsink가 넘어가며 닫는다)
+  unfinishedVideoFiles(session) {
+    if (!session.segmentSec) {
+      return session.segments.map((segment) => segment.videoPath).filter((filePath) => fs.existsSync(filePath));
+    }
+    return session.segments
+      .map((_segment, runIndex) => this.runChunkIndexes(session, runIndex).pop())
+      .filter((index) => index !== undefined)
+      .map((index) => `${this.chunkPath(session, index)}.part`);
+  }
+
+  // 끊긴 mp4를 스트림 복사로 다시 써서 moov를 만든다 (fragmented mp4면 마지막 조각까지 살아난다)
+  async repairVideo(filePath) {
+    if (!this.runCommand) return false;
+    const repairPath = `${filePath}.repair`;
+    try {
+      const { size } = await fsp.stat(filePath);
+      if (!size) return false;
+      const args = ['-y', '-v', 'error', '-i', filePath, '-c', 'copy', '-movflags', '+faststart', '-f', 'mp4', repairPath];
+      await this.runCommand('ffmpeg', args, Math.max(30000, size / 1000));
+      await fsp.rename(repairPath, filePath);
+      return true;
+    } catch (err) {
+      this.logger('Video repair failed', filePath, err.message);
+      await fsp.unlink(repairPath).catch(() => {});
+      return false;
+    }
+  }
+
+  // 이전 서버가 띄운 녹화/추론 프로세스가 남아 있으면 SIGINT(EOS)로 닫는다
+  // PID 재사용일 수 있으니 명령줄에 세그먼트 경로가 있는 프로세스만 건드린다
+  async stopOrphanProcesses(pids, segment) {
+    const stopped = [];
+    if (!segment) return stopped;
+    for (const pid of [pids.record, pids.inference]) {
+      if (!pid || !this.isPidAlive(pid)) continue;
+      const cmdline = await fsp.readFile(`/proc/${pid}/cmdline`, 'utf8').catch(() => '');
+      if (!cmdline.includes(segment.videoPath) && !cmdline.includes(segment.metaRawPath)) continue;
+      try {
+        process.kill(pid, 'SIGINT');
+      } catch (err) {
+        continue;
+      }
+      const deadline = Date.now() + 10000;
+      while (this.isPidAlive(pid) && Date.now() < deadline) {
+        await new Promise((resolve) => setTimeout(resolve, 200));
+      }
+      if (this.isPidAlive(pid)) {
+        try {
+          process.kill(pid, 'SIGKILL');
+        } catch (err) {
+          this.logger(`Failed to kill orphan process ${pid}:`, err.message);
+        }
+      }
+      stopped.push(pid);
+    }
+    return stopped;
+  }
+
   readStateSync(statePath) {
     try {
       const raw = fs.readFileSync(statePath, 'utf8');
@@ -495,6 +1090,7 @@ class ProcessManager {
       jobId,
       createdAt: new Date().toISOString(),
       serverPid: process.pid,
+      bootId: BOOT_ID,
     });
     try {
       await fsp.writeFile(this.lockFile, payload, { flag: 'wx' });
@@ -508,26 +1104,30 @@ class ProcessManager {
 
   async writeLock(payload) {
     try {
-      await fsp.writeFile(this.lockFile, JSON.stringify(payload));
+      await fsp.writeFile(this.lockFile, JSON.stringify({ serverPid: process.pid, bootId: BOOT_ID, ...payload }));
     } catch (err) {
       this.logger('Failed to update session lock', err.message);
     }
   }
 
+  // 락을 잡은 프로세스가 모두 죽었으면 락을 지운다. 지웠으면 true
   async cleanupStaleLock() {
     try {
       const raw = await fsp.readFile(this.lockFile, 'utf8');
       const payload = JSON.parse(raw);
       const pids = payload?.pids || {};
-      const alive = await this.anyPidAlive([pids.rpicam, pids.gst]);
+      const rebooted = Boolean(payload?.bootId && BOOT_ID && payload.bootId !== BOOT_ID);
+      const alive = !rebooted && (await this.anyPidAlive([pids.record, pids.inference, pids.rpicam, pids.gst]));
       if (!alive) {
         await fsp.unlink(this.lockFile).catch(() => {});
+        return true;
       }
     } catch (err) {
       if (err.code !== 'ENOENT') {
         this.logger('Session lock read failed', err.message);
       }
     }
+    return false;
   }
 
   async releaseLock() {
@@ -556,6 +1156,38 @@ class ProcessManager {
   }
 }
 
+// foo.mp4.part → foo.mp4.broken, foo.mp4.seg1.part → foo.mp4.seg1.broken
+function brokenPath(filePath) {
+  return `${filePath.replace(/\.part$/, '')}.broken`;
+}
+
+function totalPausedMs(session) {
+  return session.pausedIntervals.reduce(
+    (sum, interval) => sum + ((interval.resumedAt || session.stoppedAt || Date.now()) - interval.pausedAt),
+    0,
+  );
+}
+
+// 끝난 세션의 상태 파일 수정도 .part에 쓰고 rename해 중간에 끊겨도 원본이 남게 한다
+async function writeStateFile(statePath, state) {
+  try {
+    await fsp.writeFile(`${statePath}.part`, JSON.stringify(state, null, 2));
+    await fsp.rename(`${statePath}.part`, statePath);
+  } catch (err) {
+    await fsp.unlink(`${statePath}.part`).catch(() => undefined);
+    throw err;
+  }
+}
+
+function readBootId() {
+  try {
+    return fs.readFileSync('/proc/sys/kernel/random/boot_id', 'utf8').trim() || null;
+  } catch (_) {
+    return null;
+  }
+}
+
 module.exports = {
   ProcessManager,
+  brokenPath,
 };
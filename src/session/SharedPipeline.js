@@ -1,5 +1,7 @@
 const fs = require('fs');
 const { spawn } = require('child_process');
+const { cameraControlsEqual } = require('./cameraControls');
+const { buildCameraSourceArgs } = require('./cameraSource');
 
 const DEFAULT_SHM_PATHS = {
   preview: '/tmp/hailo_camera_preview.shm',
@@ -12,7 +14,9 @@ class SharedPipeline {
     this.gstCmd = options.gstCmd || 'gst-launch-1.0';
     this.socketPaths = options.socketPaths || DEFAULT_SHM_PATHS;
     this.shmSize = options.shmSize || 64 * 1024 * 1024;
+    this.source = options.source || { backend: 'libcamera' };
     this.logger = options.logger || (() => {});
+    this.onStateChange = options.onStateChange || null;
     this.pipelineProc = null;
     this.pipelineConfig = null;
     this.lastConfig = null;
@@ -75,10 +79,14 @@ class SharedPipeline {
 
   isConfigCompatible(config) {
     if (!this.pipelineConfig || !config) return true;
+    // controls를 지정하지 않은 요청은 실행 중인 카메라 설정을 그대로 따른다
+    const controlsCompatible = !config.controls
+      || cameraControlsEqual(this.pipelineConfig.controls, config.controls);
     return (
       Number(this.pipelineConfig.width) === Number(config.width) &&
       Number(this.pipelineConfig.height) === Number(config.height) &&
-      Number(this.pipelineConfig.fps) === Number(config.fps)
+      Number(this.pipelineConfig.fps) === Number(config.fps) &&
+      controlsCompatible
     );
   }
 
@@ -104,8 +112,10 @@ class SharedPipeline {
       width: config.width,
       height: config.height,
       fps: config.fps,
+      controls: config.controls,
       socketPaths: this.socketPaths,
       shmSize: this.shmSize,
+      source: this.source,
     });
     this.logger(`Starting shared pipeline: ${this.gstCmd} ${args.join(' ')}`);
 
@@ -135,12 +145,23 @@ class SharedPipeline {
       if (code && code !== 0) {
         this.lastError = stderr || `Pipeline exited with code ${code}`;
       }
+      this.notifyState('exited', { code, signal: signal || null, intentional: this.intentionalStop });
       if (!this.intentionalStop) {
         this.maybeRestart();
       }
     });
 
     await waitForHealthy(child);
+    this.notifyState('started', { pid: child.pid, width: config.width, height: config.height, fps: config.fps });
+  }
+
+  notifyState(state, data = {}) {
+    if (!this.onStateChange) return;
+    try {
+      this.onStateChange(state, { ...data, users: { ...this.users } });
+    } catch (err) {
+      this.logger('shared pipeline state handler failed', err.message);
+    }
   }
 
   stopPipeline(reason = 'idle') {
@@ -168,6 +189,7 @@ class SharedPipeline {
     if (this.restarting || this.starting) return;
     if (!this.lastConfig) return;
     this.restarting = true;
+    this.notifyState('restarting', { delayMs: this.restartDelayMs, lastError: this.lastError });
     setTimeout(() => {
       this.ensureRunning(this.lastConfig)
         .catch((err) => this.logger('shared pipeline restart failed', err.message))
@@ -178,13 +200,11 @@ class SharedPipeline {
   }
 }
 
-function buildSharedPipelineArgs({ width, height, fps, socketPaths, shmSize }) {
+function buildSharedPipelineArgs({ width, height, fps, controls, socketPaths, shmSize, source }) {
   const { preview, record, inference } = socketPaths || DEFAULT_SHM_PATHS;
   return [
     '-e',
-    'libcamerasrc',
-    '!',
-    `video/x-raw,width=${width},height=${height},format=NV12,framerate=${fps}/1`,
+    ...buildCameraSourceArgs(source, { width, height, fps, controls }),
     '!',
     'queue',
     '!',
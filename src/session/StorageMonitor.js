@@ -0,0 +1,127 @@
+const fsp = require('fs').promises;
+const path = require('path');
+
+const MB = 1024 * 1024;
+
+const createError = (message, status = 500) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+// 업로드/메타 경로의 여유 공간 감시
+// - minFreeBytes 미만(low): 새 캡처/녹화를 507로 거부
+// - criticalFreeBytes 미만(critical): onCritical로 진행 중인 녹화를 마무리하게 한다
+class StorageMonitor {
+  constructor(options = {}) {
+    this.paths = [...new Set((options.paths || []).filter(Boolean).map((dir) => path.resolve(dir)))];
+    this.minFreeBytes = options.minFreeBytes || 0;
+    this.criticalFreeBytes = Math.min(options.criticalFreeBytes || 0, this.minFreeBytes);
+    this.intervalMs = options.intervalMs || 10000;
+    this.onCritical = options.onCritical || null;
+    this.logger = options.logger || (() => {});
+    this.timer = null;
+    this.last = null;
+    this.checking = null;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => {
+      this.check().catch((err) => this.logger('Storage check failed', err.message));
+    }, this.intervalMs);
+    if (this.timer.unref) {
+      this.timer.unref();
+    }
+    this.check().catch((err) => this.logger('Storage check failed', err.message));
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // 동시에 여러 요청이 와도 statfs는 한 번만 돈다
+  check() {
+    if (!this.checking) {
+      this.checking = this.runCheck().finally(() => {
+        this.checking = null;
+      });
+    }
+    return this.checking;
+  }
+
+  async runCheck() {
+    const volumes = [];
+    for (const dir of this.paths) {
+      try {
+        const stat = await fsp.statfs(dir);
+        const totalBytes = stat.blocks * stat.bsize;
+        volumes.push({
+          path: dir,
+          totalBytes,
+          freeBytes: stat.bavail * stat.bsize,
+          usedBytes: totalBytes - stat.bfree * stat.bsize,
+        });
+      } catch (err) {
+        if (err.code !== 'ENOENT') {
+          this.logger('Storage statfs failed', dir, err.message);
+        }
+      }
+    }
+    const freeBytes = volumes.length ? Math.min(...volumes.map((volume) => volume.freeBytes)) : null;
+    let level = 'unknown';
+    if (freeBytes !== null) {
+      if (freeBytes < this.criticalFreeBytes) level = 'critical';
+      else if (freeBytes < this.minFreeBytes) level = 'low';
+      else level = 'ok';
+    }
+    const previousLevel = this.last?.level || null;
+    this.last = {
+      level,
+      freeBytes,
+      minFreeBytes: this.minFreeBytes,
+      criticalFreeBytes: this.criticalFreeBytes,
+      checkedAt: new Date().toISOString(),
+      volumes,
+    };
+    if (level !== previousLevel && previousLevel !== null) {
+      this.logger(`Storage level ${previousLevel} -> ${level} (${formatMb(freeBytes)} free)`);
+    }
+    // 녹화 마무리는 오래 걸릴 수 있어 기다리지 않는다
+    if (level === 'critical' && this.onCritical) {
+      Promise.resolve()
+        .then(() => this.onCritical(this.last))
+        .catch((err) => this.logger('Storage critical handler failed', err.message));
+    }
+    return this.last;
+  }
+
+  // 경로를 못 읽은 경우(unknown)는 막지 않는다
+  async hasSpace() {
+    const { level } = await this.check();
+    return level === 'ok' || level === 'unknown';
+  }
+
+  async assertWritable() {
+    if (await this.hasSpace()) return;
+    throw createError(
+      `Insufficient storage: ${formatMb(this.last.freeBytes)} free, ${formatMb(this.minFreeBytes)} required`,
+      507,
+    );
+  }
+
+  getStatus() {
+    return this.last;
+  }
+}
+
+function formatMb(bytes) {
+  return `${Math.round((bytes || 0) / MB)}MB`;
+}
+
+module.exports = {
+  StorageMonitor,
+};
@@ -0,0 +1,156 @@
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+
+const VIDEO_EXTS = new Set(['mp4', 'h264']);
+const IMAGE_EXTS = new Set(['jpg', 'jpeg', 'png', 'webp']);
+const POSTER_EXT = '.jpg';
+const ANIMATED_EXT = '.gif';
+
+class ThumbnailService {
+  constructor(options = {}) {
+    this.uploadDir = options.uploadDir;
+    this.thumbDir = options.thumbDir || path.join(this.uploadDir, '.thumbs');
+    this.urlPrefix = options.urlPrefix || '/thumbs';
+    this.width = Number(options.width) || 320;
+    this.animated = Boolean(options.animated);
+    this.animatedSec = Number(options.animatedSec) || 3;
+    this.runCommand = options.runCommand;
+    this.logger = options.logger || (() => {});
+    // 단일 코어 장비를 고려해 썸네일 생성은 한 번에 하나씩 처리
+    this.chain = Promise.resolve();
+  }
+
+  posterName(filename) {
+    return `${filename}${POSTER_EXT}`;
+  }
+
+  animatedName(filename) {
+    return `${filename}${ANIMATED_EXT}`;
+  }
+
+  // 업로드 파일 확정 후 호출 (실패해도 원본 처리에는 영향 없음)
+  schedule(filename) {
+    if (!filename) return Promise.resolve(null);
+    const task = this.chain
+      .catch(() => undefined)
+      .then(() => this.generate(filename))
+      .catch((err) => {
+        this.logger('Thumbnail generation failed', filename, err.message);
+        return null;
+      });
+    this.chain = task;
+    return task;
+  }
+
+  async generate(filename) {
+    if (!this.runCommand) return null;
+    const source = await this.resolveSource(filename);
+    if (!source) return null;
+    await fsp.mkdir(this.thumbDir, { recursive: true });
+
+    const posterPath = path.join(this.thumbDir, this.posterName(filename));
+    const scale = `scale=${this.width}:-2`;
+    const posterFilter = source.kind === 'video' ? `thumbnail=30,${scale}` : scale;
+    await this.writeOutput(posterPath, (tempPath) => [
+      '-y',
+      '-i',
+      source.path,
+      '-vf',
+      posterFilter,
+      '-frames:v',
+      '1',
+      '-f',
+      'mjpeg',
+      tempPath,
+    ]);
+
+    let animatedPath = null;
+    if (this.animated && source.kind === 'video') {
+      animatedPath = path.join(this.thumbDir, this.animatedName(filename));
+      const animatedWidth = Math.max(120, Math.round(this.width * 0.75));
+      await this.writeOutput(animatedPath, (tempPath) => [
+        '-y',
+        '-t',
+        String(this.animatedSec),
+        '-i',
+        source.path,
+        '-filter_complex',
+        `fps=8,scale=${animatedWidth}:-2,split[a][b];[a]palettegen[p];[b][p]paletteuse`,
+        '-loop',
+        '0',
+        '-f',
+        'gif',
+        tempPath,
+      ]);
+    }
+    return {
+      thumbUrl: this.urlFor(this.posterName(filename)),
+      previewUrl: animatedPath ? this.urlFor(this.animatedName(filename)) : null,
+    };
+  }
+
+  async writeOutput(outputPath, buildArgs) {
+    const tempPath = `${outputPath}.part`;
+    try {
+      await this.runCommand('ffmpeg', buildArgs(tempPath), 30000);
+      await fsp.rename(tempPath, outputPath);
+    } catch (err) {
+      await fsp.unlink(tempPath).catch(() => undefined);
+      throw err;
+    }
+  }
+
+  // 파일이면 그대로, 버스트/타임랩스 폴더면 manifest의 첫 프레임을 사용
+  async resolveSource(filename) {
+    const fullPath = path.join(this.uploadDir, filename);
+    let stat;
+    try {
+      stat = await fsp.stat(fullPath);
+    } catch (_) {
+      return null;
+    }
+    if (stat.isDirectory()) {
+      try {
+        const manifest = JSON.parse(await fsp.readFile(path.join(fullPath, 'manifest.json'), 'utf8'));
+        const first = Array.isArray(manifest.frames) ? manifest.frames[0] : null;
+        if (!first || !first.file) return null;
+        return this.classify(path.join(fullPath, first.file));
+      } catch (_) {
+        return null;
+      }
+    }
+    return this.classify(fullPath);
+  }
+
+  classify(filePath) {
+    const ext = path.extname(filePath).slice(1).toLowerCase();
+    if (VIDEO_EXTS.has(ext)) return { path: filePath, kind: 'video' };
+    if (IMAGE_EXTS.has(ext)) return { path: filePath, kind: 'image' };
+    return null;
+  }
+
+  async remove(filename) {
+    await Promise.all([
+      fsp.unlink(path.join(this.thumbDir, this.posterName(filename))).catch(() => undefined),
+      fsp.unlink(path.join(this.thumbDir, this.animatedName(filename))).catch(() => undefined),
+    ]);
+  }
+
+  // 목록 조회 시 파일마다 stat 하지 않도록 썸네일 폴더를 한 번에 읽는다
+  async listExisting() {
+    try {
+      return new Set(await fsp.readdir(this.thumbDir));
+    } catch (_) {
+      return new Set();
+    }
+  }
+
+  urlFor(name) {
+    return `${this.urlPrefix}/${encodeURIComponent(name)}`;
+  }
+}
+
+module.exports = {
+  ThumbnailService,
+};
@@ -0,0 +1,325 @@
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+
+const MIN_INTERVAL_SEC = 1;
+const MAX_COUNT = 10000;
+const MAX_DURATION_SEC = 24 * 60 * 60;
+const FRAME_PREFIX = 'frame_';
+// 건너뛴 회차 기록은 최근 것만 남긴다 (개수는 skippedCount로 따로 센다)
+const MAX_SKIPPED_HISTORY = 100;
+
+const createError = (message, status = 500) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+class TimelapseScheduler {
+  constructor(options = {}) {
+    this.uploadDir = options.uploadDir;
+    this.captureFrame = options.captureFrame;
+    this.runCommand = options.runCommand;
+    this.buildId = options.buildId || (() => `timelapse_${Date.now()}`);
+    this.onFinalized = options.onFinalized || null;
+    this.logger = options.logger || (() => {});
+    this.current = null;
+  }
+
+  isRunning() {
+    return Boolean(this.current && this.current.status === 'running');
+  }
+
+  async start(plan = {}) {
+    if (this.isRunning()) {
+      throw createError('Timelapse already running', 409);
+    }
+    if (this.current && this.current.status === 'finalizing') {
+      throw createError('Previous timelapse is still finalizing', 409);
+    }
+    if (!this.captureFrame) {
+      throw createError('Timelapse capture not configured', 500);
+    }
+    const format = plan.format || 'jpg';
+    if (!['jpg', 'mp4'].includes(format)) {
+      throw createError('Timelapse format must be jpg or mp4', 400);
+    }
+    const intervalSec = Number(plan.intervalSec);
+    if (!Number.isFinite(intervalSec) || intervalSec < MIN_INTERVAL_SEC) {
+      throw createError(`intervalSec must be at least ${MIN_INTERVAL_SEC}`, 400);
+    }
+    const clipSec = format === 'mp4' ? Number(plan.captureOptions?.durationSec) || 0 : 0;
+    if (clipSec && intervalSec < clipSec + 2) {
+      throw createError('intervalSec must be at least clip length + 2s', 400);
+    }
+    const count = plan.count ? Math.round(Number(plan.count)) : 0;
+    const maxDurationSec = plan.maxDurationSec ? Number(plan.maxDurationSec) : 0;
+    if (!count && !maxDurationSec) {
+      throw createError('count or maxDurationSec is required', 400);
+    }
+    if (count && (!Number.isFinite(count) || count < 1 || count > MAX_COUNT)) {
+      throw createError(`count must be between 1 and ${MAX_COUNT}`, 400);
+    }
+    if (maxDurationSec && (!Number.isFinite(maxDurationSec) || maxDurationSec <= 0 || maxDurationSec > MAX_DURATION_SEC)) {
+      throw createError(`maxDurationSec must be between 0 and ${MAX_DURATION_SEC}`, 400);
+    }
+
+    const id = this.buildId();
+    const dirPath = path.join(this.uploadDir, id);
+    await fsp.mkdir(dirPath, { recursive: true });
+
+    const job = {
+      id,
+      dirPath,
+      format,
+      intervalSec,
+      count: count || null,
+      maxDurationSec: maxDurationSec || null,
+      captureOptions: plan.captureOptions || {},
+      assemble: Boolean(plan.assemble),
+      assembleFps: Number(plan.assembleFps) || 10,
+      status: 'running',
+      startedAt: Date.now(),
+      stoppedAt: null,
+      stopReason: null,
+      nextAt: null,
+      tick: 0,
+      frames: [],
+      skipped: [],
+      skippedCount: 0,
+      failed: 0,
+      lastError: null,
+      assembled: null,
+      assembleError: null,
+      timer: null,
+      inFlight: null,
+      abortController: new AbortController(),
+    };
+    this.current = job;
+    this.logger(`Timelapse ${id} started (${format}, every ${intervalSec}s)`);
+    await this.writeManifest(job);
+    this.scheduleNext(job, 0);
+    return this.getStatus();
+  }
+
+  async stop(reason = 'user') {
+    const job = this.current;
+    if (!job || job.status !== 'running') {
+      throw createError('Timelapse not running', 409);
+    }
+    this.finishScheduling(job, reason);
+    if (job.inFlight) {
+      job.abortController.abort();
+      await job.inFlight.catch(() => undefined);
+    }
+    this.finalize(job).catch((err) => this.logger('Timelapse finalize failed', err.message));
+    return this.getStatus();
+  }
+
+  getStatus() {
+    const job = this.current;
+    if (!job) {
+      return { running: false, status: 'idle' };
+    }
+    const name = path.basename(job.dirPath);
+    return {
+      running: job.status === 'running',
+      status: job.status,
+      id: job.id,
+      format: job.format,
+      intervalSec: job.intervalSec,
+      count: job.count,
+      maxDurationSec: job.maxDurationSec,
+      captureOptions: job.captureOptions,
+      startedAt: job.startedAt,
+      stoppedAt: job.stoppedAt,
+      stopReason: job.stopReason,
+      nextAt: job.nextAt,
+      captured: job.frames.length,
+      skipped: job.skippedCount,
+      failed: job.failed,
+      lastError: job.lastError,
+      manifestUrl: `/uploads/${encodeURIComponent(name)}/manifest.json`,
+      assemble: job.assemble,
+      assembled: job.assembled,
+      assembleError: job.assembleError,
+    };
+  }
+
+  // 시작 시각 기준 고정 간격으로 예약 (캡처가 길어져 놓친 슬롯은 건너뛴다)
+  scheduleNext(job, delayMs) {
+    if (job.status !== 'running') return;
+    job.nextAt = Date.now() + delayMs;
+    job.timer = setTimeout(() => {
+      job.timer = null;
+      job.inFlight = this.tick(job).finally(() => {
+        job.inFlight = null;
+      });
+    }, delayMs);
+  }
+
+  async tick(job) {
+    const tick = job.tick;
+    job.tick += 1;
+    const index = job.frames.length + 1;
+    const ext = job.format === 'mp4' ? 'mp4' : 'jpg';
+    const frameName = `${FRAME_PREFIX}${String(index).padStart(4, '0')}.${ext}`;
+    try {
+      const result = await this.captureFrame({
+        dirName: path.basename(job.dirPath),
+        frameName,
+        format: job.format,
+        captureOptions: job.captureOptions,
+        signal: job.abortController.signal,
+      });
+      if (result && result.skipped) {
+        job.skippedCount += 1;
+        job.skipped.push({ tick, reason: result.skipped, at: Date.now() });
+        if (job.skipped.length > MAX_SKIPPED_HISTORY) {
+          job.skipped.shift();
+        }
+        this.logger(`Timelapse ${job.id} tick ${tick} skipped (${result.skipped})`);
+      } else {
+        const capturedAt = Date.now();
+        job.frames.push({
+          index,
+          tick,
+          file: frameName,
+          url: `/uploads/${encodeURIComponent(path.basename(job.dirPath))}/${frameName}`,
+          capturedAt,
+          offsetMs: capturedAt - job.startedAt,
+          source: result?.source || null,
+        });
+        job.lastError = null;
+      }
+    } catch (err) {
+      if (job.abortController.signal.aborted) return;
+      job.failed += 1;
+      job.lastError = err.message;
+      this.logger(`Timelapse ${job.id} tick ${tick} failed`, err.message);
+    }
+    await this.writeManifest(job).catch((err) => this.logger('Timelapse manifest write failed', err.message));
+
+    if (job.status !== 'running') return;
+    // count는 시도한 회차 수 기준이다. 찍은 프레임만 세면 계속 건너뛰거나 실패할 때 끝나지 않는다
+    if (job.count && job.tick >= job.count) {
+      this.finishScheduling(job, 'count');
+      await this.finalize(job);
+      return;
+    }
+    const elapsedMs = Date.now() - job.startedAt;
+    const intervalMs = job.intervalSec * 1000;
+    const nextSlot = Math.floor(elapsedMs / intervalMs) + 1;
+    const nextOffsetMs = nextSlot * intervalMs;
+    if (job.maxDurationSec && nextOffsetMs > job.maxDurationSec * 1000) {
+      this.finishScheduling(job, 'duration');
+      await this.finalize(job);
+      return;
+    }
+    this.scheduleNext(job, Math.max(0, nextOffsetMs - elapsedMs));
+  }
+
+  finishScheduling(job, reason) {
+    if (job.timer) {
+      clearTimeout(job.timer);
+      job.timer = null;
+    }
+    job.status = 'finalizing';
+    job.stopReason = reason;
+    job.stoppedAt = Date.now();
+    job.nextAt = null;
+    this.logger(`Timelapse ${job.id} stopped (${reason}), ${job.frames.length} frames`);
+  }
+
+  async finalize(job) {
+    try {
+      if (job.assemble && job.frames.length) {
+        await this.assemble(job);
+      }
+    } catch (err) {
+      job.assembleError = err.message;
+      this.logger(`Timelapse ${job.id} assemble failed`, err.message);
+    }
+    job.status = 'done';
+    await this.writeManifest(job).catch((err) => this.logger('Timelapse manifest write failed', err.message));
+    if (this.onFinalized && job === this.current) {
+      await Promise.resolve(this.onFinalized(this.getStatus())).catch((err) =>
+        this.logger('Timelapse finalize handler failed', err.message),
+      );
+    }
+  }
+
+  // 프레임(jpg) 또는 클립(mp4)을 하나의 mp4로 합친다 (.part → rename)
+  async assemble(job) {
+    if (!this.runCommand) {
+      throw createError('Timelapse assemble not configured', 500);
+    }
+    const filename = `${path.basename(job.dirPath)}.mp4`;
+    const outputPath = path.join(this.uploadDir, filename);
+    const tempPath = `${outputPath}.part`;
+    const listPath = path.join(job.dirPath, 'concat.txt');
+    let args;
+    if (job.format === 'jpg') {
+      args = [
+        '-y',
+        '-framerate',
+        String(job.assembleFps),
+        '-i',
+        path.join(job.dirPath, `${FRAME_PREFIX}%04d.jpg`),
+        '-c:v',
+        'libx264',
+        '-pix_fmt',
+        'yuv420p',
+        '-movflags',
+        '+faststart',
+        '-f',
+        'mp4',
+        tempPath,
+      ];
+    } else {
+      await fsp.writeFile(
+        listPath,
+        job.frames.map((frame) => `file '${path.join(job.dirPath, frame.file).replace(/'/g, "'\\''")}'`).join('\n'),
+      );
+      args = ['-y', '-f', 'concat', '-safe', '0', '-i', listPath, '-c', 'copy', '-movflags', '+faststart', '-f', 'mp4', tempPath];
+    }
+    const timeoutMs = Math.max(30000, job.frames.length * 1000);
+    try {
+      await this.runCommand('ffmpeg', args, timeoutMs);
+      await fsp.rename(tempPath, outputPath);
+    } catch (err) {
+      await fsp.unlink(tempPath).catch(() => undefined);
+      throw err;
+    } finally {
+      await fsp.unlink(listPath).catch(() => undefined);
+    }
+    job.assembled = { filename, url: `/uploads/${filename}` };
+  }
+
+  async writeManifest(job) {
+    const manifestPath = path.join(job.dirPath, 'manifest.json');
+    const payload = {
+      id: job.id,
+      format: job.format,
+      status: job.status,
+      intervalSec: job.intervalSec,
+      count: job.count,
+      maxDurationSec: job.maxDurationSec,
+      startedAt: job.startedAt,
+      stoppedAt: job.stoppedAt,
+      stopReason: job.stopReason,
+      frames: job.frames,
+      skipped: job.skipped,
+      skippedCount: job.skippedCount,
+      failed: job.failed,
+      assembled: job.assembled,
+      assembleError: job.assembleError,
+    };
+    await fsp.writeFile(`${manifestPath}.part`, JSON.stringify(payload, null, 2));
+    await fsp.rename(`${manifestPath}.part`, manifestPath);
+  }
+}
+
+module.exports = {
+  TimelapseScheduler,
+};
@@ -0,0 +1,200 @@
+const AWB_MODES = ['auto', 'incandescent', 'tungsten', 'fluorescent', 'indoor', 'daylight', 'cloudy', 'custom'];
+
+const LIMITS = {
+  shutterUs: { min: 10, max: 1000000 },
+  gain: { min: 1, max: 16 },
+  awbGain: { min: 0.1, max: 8 },
+  ev: { min: -8, max: 8 },
+};
+
+const createError = (message, status = 400) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+// 요청 바디의 controls 객체를 검증/정규화한다. 지정하지 않은 항목은 결과에서 빠진다.
+function parseCameraControls(raw) {
+  if (raw === undefined || raw === null || raw === '') return null;
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    throw createError('controls must be an object');
+  }
+  const controls = {};
+
+  if (hasValue(raw.shutterUs)) {
+    controls.shutterUs = Math.round(parseRange('shutterUs', raw.shutterUs, LIMITS.shutterUs));
+  }
+  if (hasValue(raw.gain)) {
+    controls.gain = parseRange('gain', raw.gain, LIMITS.gain);
+  }
+  if (hasValue(raw.ev)) {
+    controls.ev = parseRange('ev', raw.ev, LIMITS.ev);
+  }
+  if (hasValue(raw.awbGains)) {
+    const gains = Array.isArray(raw.awbGains) ? raw.awbGains : String(raw.awbGains).split(',');
+    if (gains.length !== 2) {
+      throw createError('awbGains must be [red, blue]');
+    }
+    controls.awbGains = gains.map((value, index) =>
+      parseRange(index === 0 ? 'awbGains.red' : 'awbGains.blue', value, LIMITS.awbGain),
+    );
+  }
+  if (hasValue(raw.awb)) {
+    const awb = String(raw.awb).toLowerCase();
+    if (!AWB_MODES.includes(awb)) {
+      throw createError(`Invalid awb. Use ${AWB_MODES.join(', ')}`);
+    }
+    controls.awb = awb;
+  }
+  if (controls.awbGains && controls.awb && controls.awb !== 'custom') {
+    throw createError('awbGains requires awb "custom"');
+  }
+  if (controls.awbGains) {
+    controls.awb = 'custom';
+  }
+  if (controls.awb === 'custom' && !controls.awbGains) {
+    throw createError('awb "custom" requires awbGains');
+  }
+  if (hasValue(raw.hflip)) {
+    controls.hflip = parseBoolean('hflip', raw.hflip);
+  }
+  if (hasValue(raw.vflip)) {
+    controls.vflip = parseBoolean('vflip', raw.vflip);
+  }
+  if (hasValue(raw.roi)) {
+    controls.roi = parseRoi(raw.roi);
+  }
+
+  return Object.keys(controls).length ? controls : null;
+}
+
+function hasValue(value) {
+  return value !== undefined && value !== null && value !== '';
+}
+
+function parseRange(name, value, { min, max }) {
+  const num = Number(value);
+  if (!Number.isFinite(num) || num < min || num > max) {
+    throw createError(`${name} must be between ${min} and ${max}`);
+  }
+  return num;
+}
+
+function parseBoolean(name, value) {
+  if (value === true || value === 'true') return true;
+  if (value === false || value === 'false') return false;
+  throw createError(`${name} must be a boolean`);
+}
+
+// ROI는 센서 기준 정규화 좌표(0~1) { x, y, width, height }
+function parseRoi(raw) {
+  const values = Array.isArray(raw)
+    ? raw
+    : typeof raw === 'string'
+      ? raw.split(',')
+      : [raw.x, raw.y, raw.width, raw.height];
+  if (values.length !== 4) {
+    throw createError('roi must be { x, y, width, height }');
+  }
+  const [x, y, width, height] = values.map((value, index) =>
+    parseRange(`roi.${['x', 'y', 'width', 'height'][index]}`, value, { min: 0, max: 1 }),
+  );
+  if (width <= 0 || height <= 0 || x + width > 1 || y + height > 1) {
+    throw createError('roi must stay within the sensor area (0..1)');
+  }
+  return { x, y, width, height };
+}
+
+// 지정 항목이 모두 같으면 동일한 설정으로 본다 (미지정은 null로 비교)
+function cameraControlsEqual(a, b) {
+  return JSON.stringify(normalizeForCompare(a)) === JSON.stringify(normalizeForCompare(b));
+}
+
+function normalizeForCompare(controls) {
+  if (!controls) return null;
+  const keys = Object.keys(controls).sort();
+  return keys.length ? keys.map((key) => [key, controls[key]]) : null;
+}
+
+function buildRpicamControlArgs(controls) {
+  if (!controls) return [];
+  const args = [];
+  if (controls.shutterUs !== undefined) args.push('--shutter', String(controls.shutterUs));
+  if (controls.gain !== undefined) args.push('--gain', String(controls.gain));
+  if (controls.ev !== undefined) args.push('--ev', String(controls.ev));
+  if (controls.awbGains) {
+    args.push('--awbgains', controls.awbGains.join(','));
+  } else if (controls.awb) {
+    args.push('--awb', controls.awb);
+  }
+  if (controls.hflip) args.push('--hflip');
+  if (controls.vflip) args.push('--vflip');
+  if (controls.roi) {
+    const { x, y, width, height } = controls.roi;
+    args.push('--roi', [x, y, width, height].join(','));
+  }
+  return args;
+}
+
+// libcamerasrc 컨트롤 속성 (노출/게인/AWB/EV)
+function buildLibcameraSrcProperties(controls) {
+  if (!controls) return [];
+  const props = [];
+  if (controls.shutterUs !== undefined) props.push(`exposure-time=${controls.shutterUs}`);
+  if (controls.gain !== undefined) props.push(`analogue-gain=${controls.gain}`);
+  if (controls.ev !== undefined) props.push(`exposure-value=${controls.ev}`);
+  if (controls.awbGains) {
+    props.push('awb-enable=false', `colour-gains=<${controls.awbGains.join(',')}>`);
+  } else if (controls.awb) {
+    props.push(`awb-mode=${controls.awb}`);
+  }
+  return props;
+}
+
+// libcamerasrc 출력 뒤에 붙는 flip/ROI 처리 (caps 이후에 '!'로 이어 붙인다)
+function buildSourceTransformArgs(controls, { width, height }) {
+  if (!controls) return [];
+  const args = [];
+  const method = flipMethod(controls);
+  if (method) {
+    args.push('!', 'videoflip', `method=${method}`);
+  }
+  if (controls.roi) {
+    const { x, y, width: roiWidth, height: roiHeight } = controls.roi;
+    // NV12 크롭은 짝수 픽셀 단위로 맞춘다
+    const even = (value) => Math.max(0, Math.floor(value / 2) * 2);
+    const left = even(x * width);
+    const top = even(y * height);
+    const right = even(width - (x + roiWidth) * width);
+    const bottom = even(height - (y + roiHeight) * height);
+    args.push(
+      '!',
+      'videocrop',
+      `left=${left}`,
+      `top=${top}`,
+      `right=${right}`,
+      `bottom=${bottom}`,
+      '!',
+      'videoscale',
+      '!',
+      `video/x-raw,width=${width},height=${height},format=NV12`,
+    );
+  }
+  return args;
+}
+
+function flipMethod({ hflip, vflip }) {
+  if (hflip && vflip) return 'rotate-180';
+  if (hflip) return 'horizontal-flip';
+  if (vflip) return 'vertical-flip';
+  return null;
+}
+
+module.exports = {
+  AWB_MODES,
+  parseCameraControls,
+  cameraControlsEqual,
+  buildRpicamControlArgs,
+  buildLibcameraSrcProperties,
+  buildSourceTransformArgs,
+};
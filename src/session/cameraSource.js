@@ -0,0 +1,155 @@
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+const { buildLibcameraSrcProperties, buildSourceTransformArgs } = require('./cameraControls');
+
+// libcamera: 실제 Pi 카메라, test: videotestsrc, file: 로컬 영상 반복 재생
+const CAMERA_BACKENDS = ['libcamera', 'test', 'file'];
+const TEST_PATTERN_RE = /^[a-z0-9-]+$/;
+// 반복 재생 전에 원시 h264로 꺼내 두는 컨테이너 확장자
+const CONTAINER_EXTS = ['.mp4', '.mov', '.m4v', '.mkv'];
+const RAW_H264_EXTS = ['.h264', '.264'];
+
+const createError = (message, status = 500) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+// 환경 변수 값으로 소스 백엔드를 결정한다 (잘못된 설정이면 서버 시작 시 바로 실패)
+function parseCameraSource({ backend, pattern, file } = {}) {
+  const name = String(backend || 'libcamera').trim().toLowerCase();
+  if (!CAMERA_BACKENDS.includes(name)) {
+    throw createError(`Invalid camera backend "${backend}". Use ${CAMERA_BACKENDS.join(', ')}`, 400);
+  }
+  const source = { backend: name, virtual: name !== 'libcamera', pattern: null, file: null, stream: null };
+  if (name === 'test') {
+    source.pattern = String(pattern || 'smpte').trim().toLowerCase();
+    if (!TEST_PATTERN_RE.test(source.pattern)) {
+      throw createError(`Invalid test pattern "${pattern}"`, 400);
+    }
+  }
+  if (name === 'file') {
+    if (!file) {
+      throw createError('CAMERA_SOURCE_FILE is required for the file backend', 400);
+    }
+    source.file = path.resolve(file);
+    if (!fs.existsSync(source.file)) {
+      throw createError(`Camera source file not found: ${source.file}`, 400);
+    }
+  }
+  return source;
+}
+
+// file 백엔드 준비 (서버 시작 시 한 번)
+// multifilesrc loop는 바이트를 이어 붙이기만 하므로 mp4처럼 헤더/인덱스가 있는 컨테이너는 두 번째 바퀴에서 demux가 깨진다.
+// 컨테이너는 ffmpeg로 비디오 트랙만 Annex-B h264로 꺼내 DATA_DIR에 캐시하고, 원시 h264는 fps를 읽어 caps로 고정한다
+// (원시 스트림에는 타임스탬프가 없어 h264parse가 caps의 framerate로 매 바퀴 이어지는 타임스탬프를 만든다)
+async function prepareCameraSourceFile(source, { cacheDir, runCommand, logger = () => {} }) {
+  if (source?.backend !== 'file') return source;
+  const ext = path.extname(source.file).toLowerCase();
+  let streamPath = null;
+  if (RAW_H264_EXTS.includes(ext)) {
+    streamPath = source.file;
+  } else if (CONTAINER_EXTS.includes(ext)) {
+    const stat = await fsp.stat(source.file);
+    const name = `${path.basename(source.file).replace(/[^\w.-]/g, '_')}.${Math.floor(stat.mtimeMs)}.h264`;
+    streamPath = path.join(cacheDir, name);
+    if (!fs.existsSync(streamPath)) {
+      await fsp.mkdir(cacheDir, { recursive: true });
+      await extractH264Stream(source.file, streamPath, { runCommand, logger });
+    }
+  } else {
+    // .mjpeg/.ts 등은 기존처럼 decodebin에 맡긴다
+    return source;
+  }
+  const fps = await probeFrameRate(source.file, runCommand);
+  source.stream = { path: streamPath, framerate: fps };
+  logger(`Camera source file prepared: ${streamPath} (${fps})`);
+  return source;
+}
+
+async function extractH264Stream(inputPath, outputPath, { runCommand, logger }) {
+  const tempPath = `${outputPath}.part`;
+  const base = ['-y', '-v', 'error', '-i', inputPath, '-map', '0:v:0', '-an'];
+  try {
+    try {
+      await runCommand('ffmpeg', [...base, '-c:v', 'copy', '-bsf:v', 'h264_mp4toannexb', '-f', 'h264', tempPath], 120000);
+    } catch (err) {
+      // h264가 아닌 영상(hevc 등)은 한 번만 다시 인코딩해 둔다
+      logger('Camera source is not h264, re-encoding once', err.message);
+      await runCommand('ffmpeg', [...base, '-c:v', 'libx264', '-preset', 'veryfast', '-pix_fmt', 'yuv420p', '-f', 'h264', tempPath], 600000);
+    }
+    await fsp.rename(tempPath, outputPath);
+  } catch (err) {
+    await fsp.unlink(tempPath).catch(() => undefined);
+    throw createError(`Failed to prepare camera source file: ${err.message}`, 500);
+  }
+}
+
+// ffprobe의 avg_frame_rate(예: 30000/1001) → caps framerate 문자열. 읽지 못하면 30/1
+async function probeFrameRate(filePath, runCommand) {
+  try {
+    const { stdout } = await runCommand(
+      'ffprobe',
+      ['-v', 'error', '-select_streams', 'v:0', '-show_entries', 'stream=avg_frame_rate,r_frame_rate', '-of', 'csv=p=0', filePath],
+      15000,
+    );
+    const rate = stdout
+      .split(/[\s,]+/)
+      .map((value) => value.trim())
+      .find((value) => /^\d+\/\d+$/.test(value) && !value.startsWith('0/') && !value.endsWith('/0'));
+    return rate || '30/1';
+  } catch (_) {
+    return '30/1';
+  }
+}
+
+// 파이프라인 맨 앞 소스 구간 (NV12 caps + flip/ROI까지). 뒤에는 '!'로 이어 붙인다
+function buildCameraSourceArgs(source, { width, height, fps, controls }) {
+  const caps = `video/x-raw,width=${width},height=${height},format=NV12,framerate=${fps}/1`;
+  const transforms = buildSourceTransformArgs(controls, { width, height });
+  const backend = source?.backend || 'libcamera';
+
+  if (backend === 'test') {
+    return ['videotestsrc', 'is-live=true', `pattern=${source.pattern || 'smpte'}`, '!', caps, ...transforms];
+  }
+  if (backend === 'file') {
+    // 파일은 디코딩 속도가 아니라 실시간 속도로 흘려보내야 라이브 카메라처럼 동작한다
+    const input = source.stream
+      ? [
+          'multifilesrc',
+          `location=${source.stream.path}`,
+          'loop=true',
+          `caps=video/x-h264,stream-format=byte-stream,framerate=${source.stream.framerate}`,
+          '!',
+          'h264parse',
+          '!',
+          'decodebin',
+        ]
+      : ['multifilesrc', `location=${source.file}`, 'loop=true', '!', 'decodebin'];
+    return [
+      ...input,
+      '!',
+      'videoconvert',
+      '!',
+      'videoscale',
+      '!',
+      'videorate',
+      '!',
+      caps,
+      '!',
+      'identity',
+      'sync=true',
+      ...transforms,
+    ];
+  }
+  return ['libcamerasrc', ...buildLibcameraSrcProperties(controls), '!', caps, ...transforms];
+}
+
+module.exports = {
+  CAMERA_BACKENDS,
+  parseCameraSource,
+  prepareCameraSourceFile,
+  buildCameraSourceArgs,
+};
@@ -1,4 +1,5 @@
 const { pathToFileURL } = require('url');
+const { buildCameraSourceArgs } = require('./cameraSource');
 
 const DEFAULTS = {
   inferenceWidth: 640,
@@ -14,15 +15,13 @@ function resolveModelOptions(model, overrides = {}) {
 }
 
 function buildGstLaunchArgs(options) {
-  const { width, height, fps, metaPath } = options;
+  const { width, height, fps, metaPath, controls, source } = options;
   const modelOptions = resolveModelOptions(options.model, options.modelOptions);
   const postProcessConfig = modelOptions.postProcessConfig;
 
   return [
     '-e',
-    'libcamerasrc',
-    '!',
-    `video/x-raw,width=${width},height=${height},format=NV12,framerate=${fps}/1`,
+    ...buildCameraSourceArgs(source, { width, height, fps, controls }),
     '!',
     'videoscale',
     '!',
@@ -166,10 +165,21 @@ function buildGstShmAiPreviewArgs(options) {
   ];
 }
 
+// 스틸 포맷별 인코더 (png/webp는 학습/캘리브레이션용 무손실)
+const STILL_ENCODERS = {
+  jpg: ['jpegenc'],
+  png: ['pngenc'],
+  webp: ['webpenc', 'lossless=true'],
+};
+
 function buildGstShmStillArgs(options) {
   const { socketPath, srcWidth, srcHeight, srcFps, width, height, outputPath } = options;
   const outWidth = width || srcWidth;
   const outHeight = height || srcHeight;
+  const encoder = STILL_ENCODERS[options.format || 'jpg'];
+  if (!encoder) {
+    throw new Error(`Unsupported still format: ${options.format}`);
+  }
 
   return [
     '-e',
@@ -187,13 +197,63 @@ function buildGstShmStillArgs(options) {
     '!',
     `video/x-raw,width=${outWidth},height=${outHeight}`,
     '!',
-    'jpegenc',
+    ...encoder,
     '!',
     'filesink',
     `location=${outputPath}`,
   ];
 }
 
+function buildGstShmBurstArgs(options) {
+  const {
+    socketPath,
+    srcWidth,
+    srcHeight,
+    srcFps,
+    width,
+    height,
+    count,
+    intervalMs,
+    locationPattern,
+  } = options;
+  const outWidth = width || srcWidth;
+  const outHeight = height || srcHeight;
+  const frameCount = Math.max(1, Math.round(count || 1));
+  // intervalMs=0 이면 소스의 모든 프레임을 저장
+  const rateArgs = intervalMs > 0 ? ['!', 'videorate', 'drop-only=true'] : [];
+  const framerate = intervalMs > 0 ? `,framerate=1000/${Math.round(intervalMs)}` : '';
+  const sourceFrames = intervalMs > 0
+    ? Math.ceil(((frameCount - 1) * intervalMs * srcFps) / 1000) + srcFps
+    : frameCount;
+
+  return [
+    '-e',
+    'shmsrc',
+    `socket-path=${socketPath}`,
+    'is-live=true',
+    'do-timestamp=true',
+    `num-buffers=${sourceFrames}`,
+    '!',
+    `video/x-raw,width=${srcWidth},height=${srcHeight},format=NV12,framerate=${srcFps}/1`,
+    ...rateArgs,
+    '!',
+    'videoconvert',
+    '!',
+    'videoscale',
+    '!',
+    `video/x-raw,width=${outWidth},height=${outHeight}${framerate}`,
+    '!',
+    'identity',
+    `eos-after=${frameCount}`,
+    '!',
+    'jpegenc',
+    '!',
+    'multifilesink',
+    `location=${locationPattern}`,
+    'index=1',
+  ];
+}
+
 function buildGstShmH264Args(options) {
   const {
     socketPath,
@@ -206,6 +266,7 @@ function buildGstShmH264Args(options) {
     durationSec,
     outputPath,
     encoder,
+    codec,
   } = options;
   const outWidth = width || srcWidth;
   const outHeight = height || srcHeight;
@@ -232,7 +293,7 @@ function buildGstShmH264Args(options) {
     '!',
     encoder || 'openh264enc',
     '!',
-    'h264parse',
+    codecParser(codec),
     '!',
     'filesink',
     `location=${outputPath}`,
@@ -251,6 +312,7 @@ function buildGstShmMp4Args(options) {
     durationSec,
     outputPath,
     encoder,
+    codec,
   } = options;
   const outWidth = width || srcWidth;
   const outHeight = height || srcHeight;
@@ -277,7 +339,7 @@ function buildGstShmMp4Args(options) {
     '!',
     encoder || 'openh264enc',
     '!',
-    'h264parse',
+    codecParser(codec),
     '!',
     'mp4mux',
     'faststart=true',
@@ -287,9 +349,28 @@ function buildGstShmMp4Args(options) {
   ];
 }
 
+// fragmentMs를 주면 fragmented mp4로 기록해 프로세스가 죽어도 마지막 조각까지 복구할 수 있다
+// segmentSec를 주면 splitmuxsink로 segmentSec마다 새 mp4로 넘어간다 (outputPath는 %03d 패턴)
 function buildGstShmRecordArgs(options) {
-  const { socketPath, width, height, fps, outputPath, encoder } = options;
+  const { socketPath, width, height, fps, outputPath, encoder, codec, fragmentMs, segmentSec, startIndex } = options;
   const selectedEncoder = encoder || 'openh264enc';
+  // 조각은 키프레임에서만 나뉘므로 GOP를 조각 길이보다 짧게(최대 2초) 둔다
+  const keyframeInterval = segmentSec ? Math.max(1, Math.round(Math.min(segmentSec, 2) * fps)) : null;
+  const sink = segmentSec
+    ? [
+        'splitmuxsink',
+        `location=${outputPath}`,
+        'muxer-factory=mp4mux',
+        `max-size-time=${Math.round(segmentSec * 1e9)}`,
+        `start-index=${startIndex || 0}`,
+      ]
+    : [
+        'mp4mux',
+        fragmentMs ? `fragment-duration=${fragmentMs}` : 'faststart=true',
+        '!',
+        'filesink',
+        `location=${outputPath}`,
+      ];
   return [
     '-e',
     'shmsrc',
@@ -303,23 +384,87 @@ function buildGstShmRecordArgs(options) {
     '!',
     'video/x-raw,format=I420',
     '!',
-    selectedEncoder,
+    ...buildEncoderElement(selectedEncoder, { keyframeInterval }),
     '!',
-    'h264parse',
+    codecParser(codec),
     '!',
-    'mp4mux',
-    'faststart=true',
+    ...sink,
+  ];
+}
+
+function buildGstShmSegmentArgs(options) {
+  const {
+    socketPath,
+    width,
+    height,
+    fps,
+    locationPattern,
+    segmentSec,
+    maxFiles,
+    encoder,
+  } = options;
+  const selectedEncoder = encoder || 'openh264enc';
+  const segmentNs = Math.round(Math.max(0.5, segmentSec || 1) * 1e9);
+  const keyframeInterval = Math.max(1, Math.round(Math.max(0.5, segmentSec || 1) * fps));
+  return [
+    '-e',
+    'shmsrc',
+    `socket-path=${socketPath}`,
+    'is-live=true',
+    'do-timestamp=true',
     '!',
-    'filesink',
-    `location=${outputPath}`,
+    `video/x-raw,width=${width},height=${height},format=NV12,framerate=${fps}/1`,
+    '!',
+    'videoconvert',
+    '!',
+    'video/x-raw,format=I420',
+    '!',
+    ...buildEncoderElement(selectedEncoder, { keyframeInterval }),
+    '!',
+    'h264parse',
+    'config-interval=-1',
+    '!',
+    'splitmuxsink',
+    `location=${locationPattern}`,
+    'muxer-factory=mpegtsmux',
+    `max-size-time=${segmentNs}`,
+    ...(maxFiles ? [`max-files=${maxFiles}`] : []),
   ];
 }
 
+// 코덱별 파서 (mp4mux/filesink 앞에서 스트림 포맷을 맞춘다)
+function codecParser(codec) {
+  return codec === 'h265' ? 'h265parse' : 'h264parse';
+}
+
+function buildEncoderElement(encoder, { keyframeInterval } = {}) {
+  if (!keyframeInterval) return [encoder];
+  if (encoder === 'x264enc' || encoder === 'x265enc') {
+    return [encoder, `key-int-max=${keyframeInterval}`];
+  }
+  if (encoder === 'openh264enc' || encoder === 'avenc_h264' || encoder === 'avenc_h264_omx') {
+    return [encoder, `gop-size=${keyframeInterval}`];
+  }
+  // Pi 하드웨어 인코더는 V4L2 컨트롤로 키프레임 주기를 준다 (h264는 I-frame period가 따로 있다)
+  if (encoder === 'v4l2h264enc') {
+    return [encoder, `extra-controls=controls,video_gop_size=${keyframeInterval},h264_i_frame_period=${keyframeInterval}`];
+  }
+  if (encoder === 'v4l2h265enc') {
+    return [encoder, `extra-controls=controls,video_gop_size=${keyframeInterval}`];
+  }
+  return [encoder];
+}
+
+// 키프레임 주기를 지정할 수 있는 인코더인지 (아니면 splitmuxsink가 인코더 기본 GOP에서만 자른다)
+function supportsKeyframeInterval(encoder) {
+  return buildEncoderElement(encoder, { keyframeInterval: 1 }).length > 1;
+}
+
 function buildGstFileArgs(options) {
   const { inputPath, format, metaPath } = options;
   const modelOptions = resolveModelOptions(options.model, options.modelOptions);
   const postProcessConfig = modelOptions.postProcessConfig;
-  const sourceArgs = buildFileSourceArgs(format, inputPath);
+  const sourceArgs = buildFileSourceArgs(format, inputPath, options);
 
   return [
     '-e',
@@ -347,8 +492,21 @@ function buildGstFileArgs(options) {
   ];
 }
 
-function buildFileSourceArgs(format, inputPath) {
+function buildFileSourceArgs(format, inputPath, options = {}) {
   const normalized = (format || '').toLowerCase();
+  if (normalized === 'burst') {
+    // inputPath는 frame_%04d.jpg 형태의 패턴
+    const fps = options.fps || 1;
+    return [
+      'multifilesrc',
+      `location=${inputPath}`,
+      'start-index=1',
+      ...(options.frameCount ? [`stop-index=${options.frameCount}`] : []),
+      `caps=image/jpeg,framerate=${Math.max(1, Math.round(fps))}/1`,
+      '!',
+      'jpegdec',
+    ];
+  }
   if (normalized === 'mp4') {
     return ['uridecodebin', `uri=${pathToFileURL(inputPath).href}`];
   }
@@ -358,6 +516,12 @@ function buildFileSourceArgs(format, inputPath) {
   if (normalized === 'jpg' || normalized === 'jpeg') {
     return ['filesrc', `location=${inputPath}`, '!', 'jpegdec'];
   }
+  if (normalized === 'png') {
+    return ['filesrc', `location=${inputPath}`, '!', 'pngdec'];
+  }
+  if (normalized === 'webp') {
+    return ['filesrc', `location=${inputPath}`, '!', 'webpdec'];
+  }
   throw new Error(`Unsupported format for inference: ${format}`);
 }
 
@@ -368,8 +532,11 @@ module.exports = {
   buildGstShmPreviewArgs,
   buildGstShmAiPreviewArgs,
   buildGstShmStillArgs,
+  buildGstShmBurstArgs,
   buildGstShmH264Args,
   buildGstShmMp4Args,
   buildGstShmRecordArgs,
+  buildGstShmSegmentArgs,
+  supportsKeyframeInterval,
   resolveModelOptions,
 };
@@ -0,0 +1,88 @@
+const fs = require('fs');
+const fsp = fs.promises;
+const crypto = require('crypto');
+
+const LABEL_MAX = 64;
+const NOTE_MAX = 1000;
+const DEFAULT_LABEL = 'mark';
+
+const createError = (message, status = 400) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+// 요청 바디 → { label, note, offsetMs }. offsetMs는 세션/파일 시작 기준 ms
+function parseMarkerInput(body = {}, { requireOffset = false } = {}) {
+  const label = body.label === undefined || body.label === null ? DEFAULT_LABEL : String(body.label).trim();
+  if (!label || label.length > LABEL_MAX) {
+    throw createError(`label must be 1-${LABEL_MAX} characters`);
+  }
+  const note = body.note === undefined || body.note === null ? '' : String(body.note);
+  if (note.length > NOTE_MAX) {
+    throw createError(`note must be at most ${NOTE_MAX} characters`);
+  }
+  let offsetMs = null;
+  if (body.offsetMs !== undefined && body.offsetMs !== null && body.offsetMs !== '') {
+    offsetMs = Number(body.offsetMs);
+    if (!Number.isFinite(offsetMs) || offsetMs < 0) {
+      throw createError('offsetMs must be a non-negative number');
+    }
+    offsetMs = Math.round(offsetMs);
+  } else if (requireOffset) {
+    throw createError('offsetMs is required');
+  }
+  return { label, note, offsetMs };
+}
+
+function createMarker({ label, note, offsetMs, at = Date.now() }) {
+  return {
+    id: `mk_${crypto.randomBytes(4).toString('hex')}`,
+    label,
+    note,
+    at: new Date(at).toISOString(),
+    offsetMs,
+  };
+}
+
+function sortMarkers(markers) {
+  return [...markers].sort((a, b) => a.offsetMs - b.offsetMs);
+}
+
+// [startMs, endMs) 구간 마커만 남기고 구간 시작 기준으로 옮긴다 (클립 자르기용)
+function sliceMarkers(markers, startMs, endMs) {
+  return (Array.isArray(markers) ? markers : [])
+    .filter((marker) => {
+      const offset = Number(marker.offsetMs);
+      return offset >= startMs && (!Number.isFinite(endMs) || offset < endMs);
+    })
+    .map((marker) => ({ ...marker, offsetMs: Math.round(Number(marker.offsetMs) - startMs) }));
+}
+
+// JSON 파일(정규화 메타/사이드카)의 markers 배열에 추가한다. 파일이 없으면 null
+// frames가 있는 메타는 읽기 쉽도록 markers를 frames 앞에 둔다
+async function appendMarkerToFile(filePath, marker) {
+  let payload;
+  try {
+    payload = JSON.parse(await fsp.readFile(filePath, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+  const existing = Array.isArray(payload.markers) ? payload.markers : [];
+  const markers = existing.some((item) => item.id === marker.id) ? existing : sortMarkers([...existing, marker]);
+  const { frames, markers: _previous, ...header } = payload;
+  const next = frames === undefined ? { ...header, markers } : { ...header, markers, frames };
+  const tempPath = `${filePath}.part`;
+  await fsp.writeFile(tempPath, JSON.stringify(next, null, 2));
+  await fsp.rename(tempPath, filePath);
+  return markers;
+}
+
+module.exports = {
+  parseMarkerInput,
+  createMarker,
+  sortMarkers,
+  sliceMarkers,
+  appendMarkerToFile,
+};
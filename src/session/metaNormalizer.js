@@ -1,27 +1,95 @@
 const fs = require('fs');
 const fsp = fs.promises;
 const { parseFramesFromText } = require('./tailParser');
+const { sliceMarkers } = require('./markers');
 
 async function normalizeMetaFile(rawPath, outputPath, options = {}) {
   const raw = await fsp.readFile(rawPath, 'utf8').catch(() => null);
-  const frames = raw ? parseFramesFromText(raw) : [];
+  const parsedFrames = raw ? parseFramesFromText(raw) : [];
+  // frameTimes가 있으면 파일 순서 기준 명목 시간(ms)으로 덮어쓴다 (버스트 등)
+  const frames = Array.isArray(options.frameTimes)
+    ? parsedFrames.map((frame, index) => ({ ...frame, t: options.frameTimes[index] ?? frame.t }))
+    : parsedFrames;
   const mappedFrames = applyLabelMap(frames, options.labelMap || {}, options.allowedLabels).filter(
     (frame) => frame.t !== null || frame.detections.length,
   );
-  const normalizedFrames = normalizeFrameTimes(mappedFrames);
+  const normalizedFrames = assignVideoSegments(
+    scaleFrameTimes(normalizeFrameTimes(mappedFrames), options.timeScale),
+    options.videoSegments,
+  );
   const inferredDurationMs = inferDurationMs(normalizedFrames, options.fps);
+  const captureFps = toPositiveNumber(options.captureFps) || toPositiveNumber(options.fps);
   const payload = {
     jobId: options.jobId || null,
     fps: toPositiveNumber(options.fps),
+    captureFps,
+    playbackFps: toPositiveNumber(options.playbackFps) || captureFps,
     width: toPositiveNumber(options.width),
     height: toPositiveNumber(options.height),
     durationMs: toPositiveNumber(options.durationMs) || inferredDurationMs,
+    ...(options.pausedIntervals?.length ? { pausedIntervals: options.pausedIntervals } : {}),
+    ...(options.markers?.length ? { markers: options.markers } : {}),
+    ...(options.videoSegments?.length ? { videoSegments: options.videoSegments } : {}),
     frames: normalizedFrames,
   };
   await fsp.writeFile(outputPath, JSON.stringify(payload, null, 2));
   return { framesCount: normalizedFrames.length, durationMs: payload.durationMs || 0 };
 }
 
+// 정규화된 메타를 클립 구간(파일 시간 기준 ms)으로 잘라 t를 새 클립 시작 기준으로 다시 맞춘다
+async function sliceMetaFile(inputPath, outputPath, options = {}) {
+  const source = JSON.parse(await fsp.readFile(inputPath, 'utf8'));
+  // 슬로모션 파일의 1초는 실제 playbackFps/captureFps 초이므로 메타(실제 시간) 기준으로 환산
+  const captureFps = toPositiveNumber(source.captureFps) || toPositiveNumber(source.fps);
+  const playbackFps = toPositiveNumber(source.playbackFps) || captureFps;
+  const scale = captureFps && playbackFps ? playbackFps / captureFps : 1;
+  const startMs = Math.max(0, Number(options.startMs) || 0) * scale;
+  const endMs = Number(options.endMs) * scale;
+  const inRange = (t) => t >= startMs && (!Number.isFinite(endMs) || t < endMs);
+  const frames = (Array.isArray(source.frames) ? source.frames : [])
+    .filter((frame) => frame.t !== null && inRange(Number(frame.t)))
+    .map((frame) => ({ ...frame, t: Math.round((Number(frame.t) - startMs) * 1000) / 1000 }));
+  const { frames: _sourceFrames, markers: sourceMarkers, ...header } = source;
+  const markers = sliceMarkers(sourceMarkers, startMs, endMs);
+  const payload = {
+    ...header,
+    jobId: options.jobId || source.jobId || null,
+    durationMs: Number.isFinite(endMs) ? Math.round(endMs - startMs) : inferDurationMs(frames, source.fps),
+    trimmedFrom: {
+      jobId: source.jobId || null,
+      startMs: Math.round(startMs),
+      endMs: Number.isFinite(endMs) ? Math.round(endMs) : null,
+    },
+    ...(markers.length ? { markers } : {}),
+    frames,
+  };
+  await fsp.writeFile(outputPath, JSON.stringify(payload, null, 2));
+  return { framesCount: frames.length, durationMs: payload.durationMs || 0 };
+}
+
+// 세그먼트별 원본 메타를 하나로 합친다. 각 세그먼트 t는 자기 첫 프레임 기준으로 맞춘 뒤
+// 세션 시작 기준 오프셋(offsetMs)을 더해 일시정지 구간이 시간 공백으로 남게 한다
+async function mergeMetaSegments(segments, outputPath) {
+  const merged = [];
+  for (const segment of segments) {
+    const raw = await fsp.readFile(segment.path, 'utf8').catch(() => null);
+    const frames = raw ? parseFramesFromText(raw) : [];
+    const first = frames.find((frame) => frame.t !== null && Number.isFinite(Number(frame.t)));
+    const base = first ? Number(first.t) : 0;
+    frames.forEach((frame) => {
+      merged.push({
+        ...frame,
+        t: frame.t === null ? null : Math.round((Number(frame.t) - base + segment.offsetMs) * 1000) / 1000,
+        frame: merged.length,
+      });
+    });
+  }
+  const tempPath = `${outputPath}.part`;
+  await fsp.writeFile(tempPath, JSON.stringify(merged));
+  await fsp.rename(tempPath, outputPath);
+  return { framesCount: merged.length };
+}
+
 function normalizeFrameTimes(frames) {
   let baseTime = null;
   for (const frame of frames) {
@@ -37,6 +105,26 @@ function normalizeFrameTimes(frames) {
   }));
 }
 
+// 조각 녹화: 프레임 t가 속한 조각 번호를 segment로 붙인다 (조각 안 시간은 t - offsetMs)
+function assignVideoSegments(frames, videoSegments) {
+  if (!Array.isArray(videoSegments) || !videoSegments.length) return frames;
+  return frames.map((frame) => {
+    if (frame.t === null) return frame;
+    const segment = videoSegments.filter((item) => item.offsetMs <= frame.t).pop() || videoSegments[0];
+    return { ...frame, segment: segment.index };
+  });
+}
+
+// 슬로모션 파일처럼 타임스탬프가 늘어난 경우 실제 시간(ms)으로 환산
+function scaleFrameTimes(frames, timeScale) {
+  const scale = Number(timeScale);
+  if (!Number.isFinite(scale) || scale <= 0 || scale === 1) return frames;
+  return frames.map((frame) => ({
+    ...frame,
+    t: frame.t === null ? null : Math.round(Number(frame.t) * scale * 1000) / 1000,
+  }));
+}
+
 function inferDurationMs(frames, fps) {
   if (!Array.isArray(frames) || !frames.length) return 0;
   const times = frames.map((frame) => Number(frame.t)).filter(Number.isFinite);
@@ -90,4 +178,6 @@ function toPositiveNumber(value) {
 
 module.exports = {
   normalizeMetaFile,
+  sliceMetaFile,
+  mergeMetaSegments,
 };
@@ -0,0 +1,208 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const { parseFramesFromText, normalizeFrame } = require('./tailParser');
+
+// hailonet 없이 hailoexportfile 형식 메타를 흉내 내는 대체 추론 프로세스
+// - 라이브(shm) 모드: fps 간격으로 프레임을 쓰다가 SIGINT/SIGTERM에 배열을 닫고 종료
+// - 파일 모드(--frames N): N 프레임을 한 번에 쓰고 종료
+
+// 기본 스크립트: 어드레스(정지) → 스윙(이동) → 사람 없음 을 반복 (자동 녹화 흐름 확인용)
+const DEFAULT_SCRIPT = {
+  loop: true,
+  segments: [
+    { durationMs: 3000, detections: [{ label: 'person', classId: 0, conf: 0.92, bbox: [0.4, 0.2, 0.2, 0.6] }] },
+    {
+      durationMs: 1500,
+      detections: [{ label: 'person', classId: 0, conf: 0.88, bbox: [0.4, 0.2, 0.2, 0.6] }],
+      moveTo: [0.5, 0.15, 0.25, 0.65],
+    },
+    { durationMs: 3000, detections: [] },
+  ],
+};
+
+const createError = (message, status = 500) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+// HAILO_MOCK* 환경 변수 해석. mock이 꺼져 있으면 null
+function parseMockHailoConfig({ enabled, script, replay } = {}) {
+  if (!['true', '1', 'yes'].includes(String(enabled || '').trim().toLowerCase())) return null;
+  const config = { script: null, replay: null };
+  if (replay) {
+    config.replay = path.resolve(replay);
+    if (!fs.existsSync(config.replay)) {
+      throw createError(`Mock replay meta not found: ${config.replay}`, 400);
+    }
+  } else if (script) {
+    config.script = path.resolve(script);
+    if (!fs.existsSync(config.script)) {
+      throw createError(`Mock script not found: ${config.script}`, 400);
+    }
+  }
+  return config;
+}
+
+// gst 추론 빌더와 같은 옵션을 받아 `node mockHailo.js ...` 인자를 만든다
+function buildMockHailoArgs(options) {
+  const { metaPath, fps, frameCount, script, replay } = options;
+  return [
+    __filename,
+    '--meta',
+    metaPath,
+    '--fps',
+    String(fps || 30),
+    ...(frameCount ? ['--frames', String(frameCount)] : []),
+    ...(replay ? ['--replay', replay] : []),
+    ...(script && !replay ? ['--script', script] : []),
+  ];
+}
+
+// 경과 시간(ms) → 그 시점의 탐지 목록
+function createDetectionSource({ script, replay }) {
+  if (replay) {
+    const frames = readReplayFrames(replay);
+    if (!frames.length) {
+      throw createError(`Mock replay meta has no frames: ${replay}`, 400);
+    }
+    const times = frames.map((frame, index) => (Number.isFinite(frame.t) ? frame.t : null) ?? index * 33);
+    const base = times[0];
+    const spanMs = Math.max(1, times[times.length - 1] - base + 1);
+    return (elapsedMs) => {
+      const offset = elapsedMs % spanMs;
+      let index = 0;
+      while (index + 1 < frames.length && times[index + 1] - base <= offset) index += 1;
+      return frames[index].detections;
+    };
+  }
+
+  const plan = script ? JSON.parse(fs.readFileSync(script, 'utf8')) : DEFAULT_SCRIPT;
+  const segments = Array.isArray(plan.segments) ? plan.segments.filter((seg) => Number(seg.durationMs) > 0) : [];
+  if (!segments.length) {
+    throw createError('Mock script needs segments with durationMs', 400);
+  }
+  const totalMs = segments.reduce((sum, seg) => sum + Number(seg.durationMs), 0);
+  return (elapsedMs) => {
+    if (plan.loop === false && elapsedMs >= totalMs) return [];
+    let offset = elapsedMs % totalMs;
+    const segment = segments.find((seg) => {
+      if (offset < seg.durationMs) return true;
+      offset -= seg.durationMs;
+      return false;
+    });
+    const progress = offset / segment.durationMs;
+    return (segment.detections || []).map((det) => ({
+      ...det,
+      bbox: segment.moveTo ? lerpBox(det.bbox, segment.moveTo, progress) : det.bbox,
+    }));
+  };
+}
+
+// 정규화된 <jobId>.meta.json 과 hailoexportfile 원본(.raw) 모두 받는다
+function readReplayFrames(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8');
+  try {
+    const parsed = JSON.parse(text);
+    if (parsed && Array.isArray(parsed.frames)) {
+      return parsed.frames.map(normalizeFrame);
+    }
+  } catch (_) {
+    // 배열이 닫히지 않은 원본은 아래에서 객체 단위로 읽는다
+  }
+  return parseFramesFromText(text);
+}
+
+function lerpBox(from, to, progress) {
+  return from.map((value, index) => Math.round((value + (to[index] - value) * progress) * 10000) / 10000);
+}
+
+// tailParser.extractHailoDetections가 읽는 HailoROI/SubObjects 형태로 직렬화
+function formatHailoFrame(frameId, timestampMs, detections) {
+  return {
+    'timestamp (ms)': Math.round(timestampMs),
+    frame_id: frameId,
+    HailoROI: {
+      SubObjects: detections.map((det) => {
+        const [xmin, ymin, width, height] = det.bbox;
+        return {
+          HailoDetection: {
+            label: det.label,
+            class_id: det.classId,
+            confidence: det.conf,
+            HailoBBox: { xmin, ymin, width, height },
+          },
+        };
+      }),
+    },
+  };
+}
+
+function runMockHailo({ metaPath, fps, frames, script, replay }) {
+  const detectionsAt = createDetectionSource({ script, replay });
+  const intervalMs = 1000 / (Number(fps) > 0 ? Number(fps) : 30);
+  const fd = fs.openSync(metaPath, 'w');
+  let frameId = 0;
+  const writeFrame = (elapsedMs) => {
+    const frame = formatHailoFrame(frameId, elapsedMs, detectionsAt(elapsedMs));
+    fs.writeSync(fd, `${frameId === 0 ? '[\n' : ',\n'}${JSON.stringify(frame)}`);
+    frameId += 1;
+  };
+  const close = () => {
+    fs.writeSync(fd, frameId === 0 ? '[]\n' : '\n]\n');
+    fs.closeSync(fd);
+  };
+
+  if (frames) {
+    for (let i = 0; i < frames; i += 1) writeFrame(i * intervalMs);
+    close();
+    return;
+  }
+
+  const startedAt = Date.now();
+  const timer = setInterval(() => writeFrame(Date.now() - startedAt), intervalMs);
+  const stop = () => {
+    clearInterval(timer);
+    close();
+    process.exit(0);
+  };
+  process.once('SIGINT', stop);
+  process.once('SIGTERM', stop);
+}
+
+function parseCliArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i += 2) {
+    args[argv[i].replace(/^--/, '')] = argv[i + 1];
+  }
+  return {
+    metaPath: args.meta,
+    fps: Number(args.fps) || 30,
+    frames: Number(args.frames) || 0,
+    script: args.script || null,
+    replay: args.replay || null,
+  };
+}
+
+if (require.main === module) {
+  const options = parseCliArgs(process.argv.slice(2));
+  if (!options.metaPath) {
+    console.error('Usage: mockHailo.js --meta <path> [--fps N] [--frames N] [--script file | --replay meta.json]');
+    process.exit(2);
+  }
+  try {
+    runMockHailo(options);
+  } catch (err) {
+    console.error('mock hailo failed:', err.message);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  DEFAULT_SCRIPT,
+  parseMockHailoConfig,
+  buildMockHailoArgs,
+  createDetectionSource,
+  formatHailoFrame,
+};
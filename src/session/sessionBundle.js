@@ -0,0 +1,207 @@
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+const { listTarEntries, readTarEntry, extractTarEntry } = require('./tarArchive');
+
+const BUNDLE_FORMAT = 'hailo-camera-session';
+const BUNDLE_VERSION = 1;
+const JOB_ID_RE = /^[A-Za-z0-9][\w.-]*$/;
+
+const createError = (message, status = 400) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+// 세션 하나를 옮길 수 있게 묶는다 → { manifest, entries } (entries는 createTarStream 입력)
+// 구성: manifest.json, session.json(상태), video/(영상·조각·사이드카), meta/(정규화·raw), calibration/, config/
+// 보정/AI 설정 경로는 호출하는 쪽에서 허용된 디렉터리인지 확인해 넘긴다 (상태 파일의 경로를 그대로 믿지 않는다)
+function buildSessionBundle({ state, uploadDir, calibrationPath = null, aiConfigPath = null, host = null }) {
+  const files = [];
+  const add = (name, filePath, role) => {
+    if (!filePath || !fs.existsSync(filePath)) return;
+    if (files.some((file) => file.name === name)) return;
+    files.push({ name, filePath, role, size: fs.statSync(filePath).size });
+  };
+
+  const videoFiles = [
+    state.videoFile,
+    ...(Array.isArray(state.videoSegments) ? state.videoSegments.map((segment) => segment.file) : []),
+  ].filter(Boolean);
+  for (const file of videoFiles) {
+    const videoPath = path.join(uploadDir, path.basename(file));
+    add(`video/${path.basename(file)}`, videoPath, 'video');
+    add(`video/${path.basename(file)}.capture.json`, `${videoPath}.capture.json`, 'sidecar');
+  }
+  if (state.metaPath) {
+    add(`meta/${path.basename(state.metaPath)}`, state.metaPath, 'meta');
+  }
+  if (state.metaRawPath) {
+    add(`meta/${path.basename(state.metaRawPath)}`, state.metaRawPath, 'meta-raw');
+  }
+  if (calibrationPath) {
+    add(`calibration/${path.basename(calibrationPath)}`, calibrationPath, 'calibration');
+  }
+  if (aiConfigPath) {
+    add(`config/${path.basename(aiConfigPath)}`, aiConfigPath, 'ai-config');
+  }
+
+  const manifest = {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    jobId: state.jobId,
+    status: state.status,
+    startedAt: state.startedAt,
+    stoppedAt: state.stoppedAt,
+    metadata: state.metadata || null,
+    host,
+    files: [
+      { name: 'session.json', role: 'state' },
+      ...files.map(({ name, role, size }) => ({ name, role, size })),
+    ],
+  };
+  const entries = [
+    { name: 'manifest.json', content: JSON.stringify(manifest, null, 2) },
+    { name: 'session.json', content: JSON.stringify(state, null, 2) },
+    ...files.map(({ name, filePath }) => ({ name, filePath })),
+  ];
+  return { manifest, entries };
+}
+
+// 번들(tar 파일)로 세션을 다시 만든다. 같은 jobId가 있으면 409
+// 보정/AI 설정은 이 장비의 설정을 덮어쓰지 않고 META_DIR/<jobId>.calibration.json, <jobId>.ai-config.json으로 둔다
+async function importSessionBundle(bundlePath, { uploadDir, metaDir, stateDir, logger = () => {} }) {
+  const entries = await listTarEntries(bundlePath);
+  const byName = new Map(entries.map((entry) => [entry.name, entry]));
+  const manifestEntry = byName.get('manifest.json');
+  const stateEntry = byName.get('session.json');
+  if (!manifestEntry || !stateEntry) {
+    throw createError('Bundle is missing manifest.json or session.json');
+  }
+  const manifest = parseJson(await readTarEntry(bundlePath, manifestEntry), 'manifest.json');
+  if (manifest.format !== BUNDLE_FORMAT || manifest.version !== BUNDLE_VERSION) {
+    throw createError(`Unsupported bundle format: ${manifest.format} v${manifest.version}`);
+  }
+  const state = parseJson(await readTarEntry(bundlePath, stateEntry), 'session.json');
+  const jobId = state.jobId;
+  if (!isValidJobId(jobId) || jobId !== manifest.jobId) {
+    throw createError('Bundle has an invalid jobId');
+  }
+  if (state.status === 'running') {
+    throw createError('Bundle contains a running session');
+  }
+
+  // 영상은 상태 파일에 적힌 <jobId>.mp4 / <jobId>_NNN.mp4와 그 사이드카만 받는다 (/uploads로 그대로 서빙되므로)
+  const videoFiles = [
+    state.videoFile,
+    ...(Array.isArray(state.videoSegments) ? state.videoSegments.map((segment) => segment?.file) : []),
+  ].filter(Boolean);
+  const videoNameRe = new RegExp(`^${escapeRegExp(jobId)}(_\\d+)?\\.mp4$`);
+  if (!state.videoFile || !videoFiles.every((file) => typeof file === 'string' && videoNameRe.test(file))) {
+    throw createError('Bundle session.json has an invalid videoFile');
+  }
+  const allowedVideoNames = new Set(videoFiles.flatMap((file) => [file, `${file}.capture.json`]));
+
+  const statePath = path.join(stateDir, `${jobId}.session.json`);
+  const targets = [];
+  for (const entry of entries) {
+    const [folder, name, ...rest] = entry.name.split('/');
+    if (!name || rest.length || name.startsWith('.')) continue;
+    if (folder === 'video') {
+      if (!allowedVideoNames.has(name)) {
+        throw createError(`Unexpected file in bundle: ${entry.name}`);
+      }
+      targets.push({ entry, targetPath: path.join(uploadDir, name), role: 'video' });
+    } else if (folder === 'meta' && name.startsWith(`${jobId}.`)) {
+      targets.push({ entry, targetPath: path.join(metaDir, name), role: 'meta' });
+    } else if (folder === 'calibration') {
+      targets.push({ entry, targetPath: path.join(metaDir, `${jobId}.calibration.json`), role: 'calibration', name });
+    } else if (folder === 'config') {
+      targets.push({ entry, targetPath: path.join(metaDir, `${jobId}.ai-config.json`), role: 'ai-config', name });
+    }
+  }
+  const conflict = [statePath, ...targets.map((target) => target.targetPath)].find((filePath) =>
+    fs.existsSync(filePath),
+  );
+  if (conflict) {
+    throw createError(`Session already exists: ${path.basename(conflict)}`, 409);
+  }
+
+  const written = [];
+  try {
+    for (const target of targets) {
+      await extractTarEntry(bundlePath, target.entry, target.targetPath);
+      written.push(target.targetPath);
+    }
+    const calibration = targets.find((target) => target.role === 'calibration');
+    const aiConfig = targets.find((target) => target.role === 'ai-config');
+    const next = relocateState(state, { uploadDir, metaDir });
+    // 보낸 장비의 AI 설정 경로는 이 장비에서 의미가 없으므로 함께 온 사본만 가리키게 한다
+    const { postProcessConfig: _sourceConfig, ...modelOptions } = next.modelOptions || {};
+    next.modelOptions = aiConfig ? { ...modelOptions, postProcessConfig: aiConfig.targetPath } : modelOptions;
+    next.imported = {
+      importedAt: new Date().toISOString(),
+      exportedAt: manifest.exportedAt || null,
+      host: manifest.host || null,
+      calibration: calibration ? { name: calibration.name, path: calibration.targetPath } : null,
+      aiConfig: aiConfig ? { name: aiConfig.name, path: aiConfig.targetPath } : null,
+    };
+    // 상태 파일은 마지막에 써서 중간에 실패한 세션이 목록에 보이지 않게 한다
+    await fsp.writeFile(`${statePath}.part`, JSON.stringify(next, null, 2));
+    await fsp.rename(`${statePath}.part`, statePath);
+    logger(`Imported session ${jobId} (${targets.length} file(s))`);
+    return { jobId, state: next, files: targets.map((target) => path.basename(target.targetPath)) };
+  } catch (err) {
+    await Promise.all(written.map((filePath) => fsp.unlink(filePath).catch(() => undefined)));
+    throw err;
+  }
+}
+
+// 상태 파일의 절대 경로를 이 장비의 디렉터리 기준으로 바꾼다
+// 메타 경로는 보낸 쪽 값과 상관없이 <jobId>.meta.json으로 고정한다
+function relocateState(state, { uploadDir, metaDir }) {
+  const inUploads = (filePath) => (filePath ? path.join(uploadDir, path.basename(filePath)) : filePath);
+  const inMeta = (filePath) => (filePath ? path.join(metaDir, path.basename(filePath)) : filePath);
+  const metaPath = path.join(metaDir, `${state.jobId}.meta.json`);
+  return {
+    ...state,
+    pids: {},
+    videoPath: path.join(uploadDir, state.videoFile),
+    videoPartPath: `${path.join(uploadDir, state.videoFile)}.part`,
+    metaPath,
+    metaRawPath: `${metaPath}.raw`,
+    ...(Array.isArray(state.segments)
+      ? {
+          segments: state.segments.map((segment) => ({
+            ...segment,
+            videoPath: inUploads(segment.videoPath),
+            metaRawPath: inMeta(segment.metaRawPath),
+          })),
+        }
+      : {}),
+  };
+}
+
+// 경로에 이어 붙이기 전에 jobId를 확인한다 (내보내기 라우트도 같은 규칙을 쓴다)
+function isValidJobId(jobId) {
+  return typeof jobId === 'string' && JOB_ID_RE.test(jobId);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function parseJson(buffer, name) {
+  try {
+    return JSON.parse(buffer.toString('utf8'));
+  } catch (_) {
+    throw createError(`Bundle ${name} is not valid JSON`);
+  }
+}
+
+module.exports = {
+  buildSessionBundle,
+  importSessionBundle,
+  isValidJobId,
+};
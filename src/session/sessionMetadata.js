@@ -0,0 +1,80 @@
+const PLAYER_ID_MAX = 64;
+const CLUB_MAX = 32;
+const TAG_MAX = 32;
+const TAGS_MAX = 20;
+const NOTES_MAX = 1000;
+const HANDEDNESS = ['right', 'left'];
+const VIEWS = ['face-on', 'down-the-line'];
+const FIELDS = ['playerId', 'club', 'handedness', 'view', 'tags', 'notes'];
+
+const createError = (message, status = 400) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+function emptyMetadata() {
+  return { playerId: null, club: null, handedness: null, view: null, tags: [], notes: '' };
+}
+
+// 요청 바디의 metadata → 정규화된 전체 객체
+// base 위에 덮어쓰므로 수정(PATCH) 때는 준 항목만 바뀌고, null이면 해당 항목을 비운다
+function parseSessionMetadata(input, base = emptyMetadata()) {
+  if (input === undefined || input === null) {
+    return { ...emptyMetadata(), ...base };
+  }
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    throw createError('metadata must be an object');
+  }
+  const unknown = Object.keys(input).filter((key) => !FIELDS.includes(key));
+  if (unknown.length) {
+    throw createError(`Unknown metadata field: ${unknown.join(', ')}`);
+  }
+  const next = { ...emptyMetadata(), ...base };
+  if ('playerId' in input) next.playerId = parseText(input.playerId, 'playerId', PLAYER_ID_MAX);
+  if ('club' in input) next.club = parseText(input.club, 'club', CLUB_MAX);
+  if ('handedness' in input) next.handedness = parseChoice(input.handedness, 'handedness', HANDEDNESS);
+  if ('view' in input) next.view = parseChoice(input.view, 'view', VIEWS);
+  if ('tags' in input) next.tags = parseTags(input.tags);
+  if ('notes' in input) next.notes = parseText(input.notes, 'notes', NOTES_MAX) || '';
+  return next;
+}
+
+function parseText(value, name, max) {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim();
+  if (text.length > max) {
+    throw createError(`${name} must be at most ${max} characters`);
+  }
+  return text || null;
+}
+
+// 대소문자/밑줄/공백 차이는 허용한다 (Face_On → face-on)
+function parseChoice(value, name, choices) {
+  if (value === undefined || value === null || value === '') return null;
+  const normalized = String(value).trim().toLowerCase().replace(/[\s_]+/g, '-');
+  if (!choices.includes(normalized)) {
+    throw createError(`${name} must be one of ${choices.join(', ')}`);
+  }
+  return normalized;
+}
+
+// 배열 또는 "a,b" 문자열. 중복은 한 번만 남긴다
+function parseTags(value) {
+  if (value === undefined || value === null || value === '') return [];
+  const raw = Array.isArray(value) ? value : String(value).split(',');
+  const tags = [...new Set(raw.map((tag) => String(tag).trim()).filter(Boolean))];
+  if (tags.length > TAGS_MAX) {
+    throw createError(`tags must have at most ${TAGS_MAX} entries`);
+  }
+  const tooLong = tags.find((tag) => tag.length > TAG_MAX);
+  if (tooLong) {
+    throw createError(`tag must be at most ${TAG_MAX} characters: ${tooLong}`);
+  }
+  return tags;
+}
+
+module.exports = {
+  emptyMetadata,
+  parseSessionMetadata,
+};
@@ -0,0 +1,146 @@
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+const SORT_FIELDS = ['startedAt', 'stoppedAt', 'durationMs'];
+
+const createError = (message, status = 400) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+// GET /api/session/list 쿼리 → { filters, sort, order, limit, offset, cursor }
+function parseSessionQuery(query = {}) {
+  const sort = query.sort ? String(query.sort) : 'startedAt';
+  if (!SORT_FIELDS.includes(sort)) {
+    throw createError(`sort must be one of ${SORT_FIELDS.join(', ')}`);
+  }
+  const order = query.order ? String(query.order).toLowerCase() : 'desc';
+  if (!['asc', 'desc'].includes(order)) {
+    throw createError('order must be asc or desc');
+  }
+  const limit = parseCount(query.limit, 'limit', DEFAULT_LIMIT);
+  if (limit < 1 || limit > MAX_LIMIT) {
+    throw createError(`limit must be between 1 and ${MAX_LIMIT}`);
+  }
+  const cursor = query.cursor ? decodeCursor(String(query.cursor), sort, order) : null;
+  const hasMeta = parseBoolean(query.hasMeta, 'hasMeta');
+  const filters = {
+    status: parseList(query.status),
+    from: parseTime(query.from, 'from'),
+    to: parseTime(query.to, 'to'),
+    model: parseList(query.model),
+    tags: parseList(query.tag),
+    playerId: query.playerId ? String(query.playerId).trim() : null,
+    hasMeta,
+  };
+  return { filters, sort, order, limit, offset: cursor ? 0 : parseCount(query.offset, 'offset', 0), cursor };
+}
+
+// 필터 → 정렬 → 페이지. total은 필터를 통과한 전체 개수 (페이지와 무관)
+function applySessionQuery(items, { filters, sort, order, limit, offset, cursor }) {
+  const direction = order === 'asc' ? 1 : -1;
+  const matched = items
+    .filter((item) => matchesFilters(item, filters))
+    .sort((a, b) => direction * compareKeys(sortKey(a, sort), sortKey(b, sort)));
+  const start = cursor
+    ? matched.findIndex((item) => direction * compareKeys(sortKey(item, sort), cursor) > 0)
+    : offset;
+  const page = start < 0 ? [] : matched.slice(start, start + limit);
+  const hasMore = start >= 0 && start + limit < matched.length;
+  return {
+    total: matched.length,
+    sessions: page,
+    nextCursor: hasMore && page.length ? encodeCursor(sortKey(page[page.length - 1], sort), sort, order) : null,
+  };
+}
+
+function matchesFilters(item, filters) {
+  if (filters.status.length && !filters.status.includes(item.status)) return false;
+  if (filters.from !== null && !(item.startedAt >= filters.from)) return false;
+  if (filters.to !== null && !(item.startedAt <= filters.to)) return false;
+  if (filters.model.length && !filters.model.includes(item.model)) return false;
+  const metadata = item.metadata || {};
+  if (filters.playerId && metadata.playerId !== filters.playerId) return false;
+  if (filters.tags.length) {
+    const tags = Array.isArray(metadata.tags) ? metadata.tags : [];
+    if (!filters.tags.every((tag) => tags.includes(tag))) return false;
+  }
+  if (filters.hasMeta !== null && Boolean(item.hasMeta) !== filters.hasMeta) return false;
+  return true;
+}
+
+// 같은 값이면 jobId로 순서를 고정해야 커서가 항목을 건너뛰거나 반복하지 않는다
+function sortKey(item, sort) {
+  const value = item[sort];
+  return [Number.isFinite(value) ? value : null, item.jobId];
+}
+
+// 값이 없는(null) 항목은 가장 작은 값으로 본다
+function compareKeys([valueA, idA], [valueB, idB]) {
+  if (valueA !== valueB) {
+    if (valueA === null) return -1;
+    if (valueB === null) return 1;
+    return valueA - valueB;
+  }
+  return idA < idB ? -1 : idA > idB ? 1 : 0;
+}
+
+function encodeCursor(key, sort, order) {
+  return Buffer.from(JSON.stringify({ sort, order, key })).toString('base64url');
+}
+
+// 커서는 만들 때의 정렬 기준에서만 유효하다
+function decodeCursor(raw, sort, order) {
+  let parsed;
+  try {
+    parsed = JSON.parse(Buffer.from(raw, 'base64url').toString('utf8'));
+  } catch (_) {
+    throw createError('Invalid cursor');
+  }
+  const key = parsed && Array.isArray(parsed.key) ? parsed.key : null;
+  if (!key || key.length !== 2 || (key[0] !== null && !Number.isFinite(key[0])) || typeof key[1] !== 'string') {
+    throw createError('Invalid cursor');
+  }
+  if (parsed.sort !== sort || parsed.order !== order) {
+    throw createError('cursor does not match sort/order');
+  }
+  return key;
+}
+
+function parseList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  const raw = Array.isArray(value) ? value : String(value).split(',');
+  return raw.map((item) => String(item).trim()).filter(Boolean);
+}
+
+// epoch ms 또는 Date.parse가 읽을 수 있는 문자열(ISO 등)
+function parseTime(value, name) {
+  if (value === undefined || value === null || value === '') return null;
+  const text = String(value).trim();
+  const time = /^\d+$/.test(text) ? Number(text) : Date.parse(text);
+  if (!Number.isFinite(time)) {
+    throw createError(`${name} must be an ISO date or epoch milliseconds`);
+  }
+  return time;
+}
+
+function parseBoolean(value, name) {
+  if (value === undefined || value === null || value === '') return null;
+  if (value === 'true' || value === '1') return true;
+  if (value === 'false' || value === '0') return false;
+  throw createError(`${name} must be true or false`);
+}
+
+function parseCount(value, name, fallback) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const num = Number(value);
+  if (!Number.isInteger(num) || num < 0) {
+    throw createError(`${name} must be a non-negative integer`);
+  }
+  return num;
+}
+
+module.exports = {
+  parseSessionQuery,
+  applySessionQuery,
+};
@@ -0,0 +1,98 @@
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+
+const STATE_FILE_RE = /\.session\.json$/;
+// <jobId>.meta.json, .meta.json.raw, 일시정지 세그먼트(.raw.seg1), 디버그 메타까지
+const META_FILE_RE = /\.meta\.json(\.raw(\.seg\d+)?)?$/;
+
+// 예전 기본 경로(/tmp)에 남은 세션 상태/메타를 영구 경로로 한 번만 옮긴다
+// 끝나면 markerFile에 결과를 남기고 이후 실행에서는 건너뛴다 (markerFile이 있으면 null)
+async function migrateLegacyStorage({ legacyDir = '/tmp', stateDir, metaDir, markerFile, logger = () => {} }) {
+  if (fs.existsSync(markerFile)) return null;
+  const result = { migratedAt: new Date().toISOString(), from: legacyDir, sessions: 0, meta: 0, skipped: [] };
+  let names = [];
+  try {
+    names = await fsp.readdir(legacyDir);
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+  const moveMeta = path.resolve(metaDir) !== path.resolve(legacyDir);
+  const moveState = path.resolve(stateDir) !== path.resolve(legacyDir);
+
+  if (moveMeta) {
+    for (const name of names.filter((item) => META_FILE_RE.test(item))) {
+      try {
+        if (await moveFile(path.join(legacyDir, name), path.join(metaDir, name))) {
+          result.meta += 1;
+          continue;
+        }
+      } catch (err) {
+        logger('Meta migration failed', name, err.message);
+      }
+      result.skipped.push(name);
+    }
+  }
+
+  if (moveState) {
+    for (const name of names.filter((item) => STATE_FILE_RE.test(item))) {
+      const sourcePath = path.join(legacyDir, name);
+      const targetPath = path.join(stateDir, name);
+      try {
+        if (fs.existsSync(targetPath)) {
+          result.skipped.push(name);
+          continue;
+        }
+        const state = JSON.parse(await fsp.readFile(sourcePath, 'utf8'));
+        const next = moveMeta ? relocateMetaPaths(state, legacyDir, metaDir) : state;
+        await fsp.writeFile(`${targetPath}.part`, JSON.stringify(next, null, 2));
+        await fsp.rename(`${targetPath}.part`, targetPath);
+        await fsp.unlink(sourcePath);
+        result.sessions += 1;
+      } catch (err) {
+        logger('Session state migration failed', name, err.message);
+        result.skipped.push(name);
+      }
+    }
+  }
+
+  await fsp.writeFile(`${markerFile}.part`, JSON.stringify(result, null, 2));
+  await fsp.rename(`${markerFile}.part`, markerFile);
+  if (result.sessions || result.meta) {
+    logger(`Migrated ${result.sessions} session state(s) and ${result.meta} meta file(s) from ${legacyDir}`);
+  }
+  return result;
+}
+
+// 상태 파일에 적힌 메타 경로 중 legacyDir에 있던 것만 새 위치로 바꾼다
+function relocateMetaPaths(state, legacyDir, metaDir) {
+  const relocate = (filePath) =>
+    typeof filePath === 'string' && path.dirname(filePath) === path.resolve(legacyDir)
+      ? path.join(metaDir, path.basename(filePath))
+      : filePath;
+  return {
+    ...state,
+    metaPath: relocate(state.metaPath),
+    metaRawPath: relocate(state.metaRawPath),
+    ...(Array.isArray(state.segments)
+      ? { segments: state.segments.map((segment) => ({ ...segment, metaRawPath: relocate(segment.metaRawPath) })) }
+      : {}),
+  };
+}
+
+// 대상이 이미 있으면 덮어쓰지 않는다. /tmp가 tmpfs면 rename이 EXDEV라 복사 후 삭제
+async function moveFile(sourcePath, targetPath) {
+  if (fs.existsSync(targetPath)) return false;
+  try {
+    await fsp.rename(sourcePath, targetPath);
+  } catch (err) {
+    if (err.code !== 'EXDEV') throw err;
+    await fsp.copyFile(sourcePath, targetPath);
+    await fsp.unlink(sourcePath);
+  }
+  return true;
+}
+
+module.exports = {
+  migrateLegacyStorage,
+};
@@ -0,0 +1,160 @@
+const fs = require('fs');
+const fsp = fs.promises;
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+
+const BLOCK = 512;
+const NAME_MAX = 100;
+
+const createError = (message, status = 400) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+// 최소한의 ustar 쓰기/읽기 (일반 파일만). 영상이 커서 메모리에 올리지 않고 스트림으로 다룬다
+// entries: [{ name, filePath } | { name, content }]
+function createTarStream(entries) {
+  return Readable.from(generateTar(entries), { objectMode: false });
+}
+
+async function* generateTar(entries) {
+  for (const entry of entries) {
+    if (entry.filePath) {
+      const stat = await fsp.stat(entry.filePath);
+      yield buildHeader(entry.name, stat.size, stat.mtimeMs);
+      let written = 0;
+      for await (const chunk of fs.createReadStream(entry.filePath)) {
+        written += chunk.length;
+        yield chunk;
+      }
+      if (written !== stat.size) {
+        throw new Error(`File changed while archiving: ${entry.name}`);
+      }
+      yield padding(stat.size);
+    } else {
+      const content = Buffer.isBuffer(entry.content) ? entry.content : Buffer.from(String(entry.content));
+      yield buildHeader(entry.name, content.length, Date.now());
+      yield content;
+      yield padding(content.length);
+    }
+  }
+  yield Buffer.alloc(BLOCK * 2);
+}
+
+function buildHeader(name, size, mtimeMs) {
+  if (Buffer.byteLength(name) > NAME_MAX) {
+    throw new Error(`Archive entry name too long: ${name}`);
+  }
+  const header = Buffer.alloc(BLOCK);
+  header.write(name, 0, NAME_MAX, 'utf8');
+  writeOctal(header, 100, 8, 0o644);
+  writeOctal(header, 108, 8, 0);
+  writeOctal(header, 116, 8, 0);
+  writeOctal(header, 124, 12, size);
+  writeOctal(header, 136, 12, Math.floor(mtimeMs / 1000));
+  header.write('        ', 148, 8, 'ascii');
+  header.write('0', 156, 1, 'ascii');
+  header.write('ustar\u000000', 257, 8, 'ascii');
+  let checksum = 0;
+  for (const byte of header) checksum += byte;
+  header.write(`${checksum.toString(8).padStart(6, '0')}\u0000 `, 148, 8, 'ascii');
+  return header;
+}
+
+function writeOctal(buffer, offset, length, value) {
+  buffer.write(`${value.toString(8).padStart(length - 1, '0')}\u0000`, offset, length, 'ascii');
+}
+
+function padding(size) {
+  const rest = size % BLOCK;
+  return Buffer.alloc(rest ? BLOCK - rest : 0);
+}
+
+// 헤더만 훑어 [{ name, size, offset }] 목록을 만든다 (offset은 데이터 시작 위치)
+async function listTarEntries(filePath) {
+  const handle = await fsp.open(filePath, 'r');
+  try {
+    const { size: totalSize } = await handle.stat();
+    const entries = [];
+    const header = Buffer.alloc(BLOCK);
+    let offset = 0;
+    while (offset + BLOCK <= totalSize) {
+      await handle.read(header, 0, BLOCK, offset);
+      if (header.every((byte) => byte === 0)) break;
+      if (header.toString('ascii', 257, 262) !== 'ustar' || !verifyChecksum(header)) {
+        throw createError('Invalid tar archive');
+      }
+      const name = joinName(readString(header, 345, 155), readString(header, 0, NAME_MAX));
+      const size = parseInt(readString(header, 124, 12).trim() || '0', 8);
+      const type = readString(header, 156, 1) || '0';
+      const dataOffset = offset + BLOCK;
+      if (!Number.isFinite(size) || dataOffset + size > totalSize) {
+        throw createError('Truncated tar archive');
+      }
+      if (type === '0') {
+        entries.push({ name, size, offset: dataOffset });
+      }
+      offset = dataOffset + size + padding(size).length;
+    }
+    return entries;
+  } finally {
+    await handle.close();
+  }
+}
+
+async function readTarEntry(filePath, entry) {
+  const handle = await fsp.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(entry.size);
+    await handle.read(buffer, 0, entry.size, entry.offset);
+    return buffer;
+  } finally {
+    await handle.close();
+  }
+}
+
+// 항목을 targetPath로 꺼낸다 (.part에 쓰고 rename)
+async function extractTarEntry(filePath, entry, targetPath) {
+  const tempPath = `${targetPath}.part`;
+  try {
+    if (entry.size) {
+      await pipeline(
+        fs.createReadStream(filePath, { start: entry.offset, end: entry.offset + entry.size - 1 }),
+        fs.createWriteStream(tempPath),
+      );
+    } else {
+      await fsp.writeFile(tempPath, '');
+    }
+    await fsp.rename(tempPath, targetPath);
+  } catch (err) {
+    await fsp.unlink(tempPath).catch(() => undefined);
+    throw err;
+  }
+}
+
+function verifyChecksum(header) {
+  const expected = parseInt(readString(header, 148, 8).trim(), 8);
+  let sum = 0;
+  for (let i = 0; i < BLOCK; i += 1) {
+    sum += i >= 148 && i < 156 ? 0x20 : header[i];
+  }
+  return sum === expected;
+}
+
+function readString(buffer, offset, length) {
+  const slice = buffer.subarray(offset, offset + length);
+  const end = slice.indexOf(0);
+  return slice.toString('utf8', 0, end === -1 ? length : end);
+}
+
+function joinName(prefix, name) {
+  return prefix ? `${prefix}/${name}` : name;
+}
+
+module.exports = {
+  createTarStream,
+  listTarEntries,
+  readTarEntry,
+  extractTarEntry,
+};